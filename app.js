@@ -13,12 +13,9 @@ const state = {
     currentMatches: [], // Matches currently being played
     matchQueue: [], // Queue of matches waiting to be played
     rounds: [],
-    settings: {
-        matchType: 'doubles', // 'singles' or 'doubles'
-        pairingMode: 'random', // 'random', 'balanced', 'separate'
-        courtCount: 2,
-        multiCourt: false // Can a player play on multiple courts at once
-    },
+    tournament: null, // Active in-house competition, see Tournament section
+    ladder: getDefaultLadder(), // Club ladder, kept across sessions
+    settings: getDefaultSettings(),
     currentRound: 0,
     rentalTimer: {
         mode: 'duration', // 'duration' or 'endtime'
@@ -39,6 +36,79 @@ const LEVEL_WEIGHTS = {
     pro: 4
 };
 
+const GENDER_LABELS = {
+    male: '♂️ ชาย',
+    female: '♀️ หญิง'
+};
+
+const MATCH_TYPE_LABELS = {
+    doubles: 'คู่',
+    singles: 'เดี่ยว',
+    both: 'เดี่ยว+คู่'
+};
+
+// Starting ratings for each level, before any scored matches
+const LEVEL_BASE_RATINGS = {
+    beginner: 1200,
+    intermediate: 1400,
+    advanced: 1600,
+    pro: 1800
+};
+
+const RATING_DEFAULT_DEVIATION = 350; // Uncertainty of a brand-new rating
+const RATING_MIN_DEVIATION = 60;
+const RATING_DEVIATION_DECAY = 0.9; // Uncertainty shrinks after every scored match
+const RATING_BAND = 200; // Rating width treated as one skill group
+
+// Penalty weights for repeated pairings, scaled by the variety setting
+const VARIETY_WEIGHTS = {
+    off: 0,
+    normal: 1,
+    high: 3
+};
+
+// How many extra bench players the generator may look past to find fresh pairings
+const VARIETY_LOOKAHEAD = {
+    off: 0,
+    normal: 2,
+    high: 4
+};
+
+const PARTNER_REPEAT_PENALTY = 3;
+const OPPONENT_REPEAT_PENALTY = 1;
+
+// Pairing constraints: breaking a hard one outweighs anything else, a preferred partner or opponent is worth two bench places
+const HARD_CONSTRAINT_COST = 1000000;
+const PREFERRED_PARTNER_BONUS = 2;
+const PREFERRED_OPPONENT_BONUS = 2;
+
+// Priority minutes lost per queue place when a round reuses already-queued players
+const QUEUE_DEPTH_PENALTY = 1000;
+
+// Saved data left untouched this long belongs to an earlier club night
+const SESSION_GAP_HOURS = 6;
+
+// Balanced mode: one repeat penalty point costs as much as a 50-point team gap (squared)
+const BALANCE_REPEAT_COST = 2500;
+const BALANCE_SEARCH_RESTARTS = 5;
+
+// Handicap: the weaker side gets a bonus point per 50 rating points of team gap
+const HANDICAP_RATING_PER_POINT = 50;
+const HANDICAP_MAX_POINTS = 10;
+
+// Rally point scoring formats. A game is won at `points` with a 2-point lead,
+// or by whoever reaches `maxPoints` first. The interval comes when the leading
+// side reaches `interval`; ends change there in the deciding game.
+// Timed games (also used for a race to a points total) have no target:
+// the side ahead at the end wins, level is a draw
+const SCORING_FORMATS = {
+    games21: { label: '21 แต้ม × 3 เกม', points: 21, maxPoints: 30, interval: 11, games: 3 },
+    games15: { label: '15 แต้ม × 3 เกม', points: 15, maxPoints: 21, interval: 8, games: 3 },
+    games11: { label: '11 แต้ม × 5 เกม', points: 11, maxPoints: 15, interval: 6, games: 5 },
+    single21: { label: '21 แต้ม เกมเดียว', points: 21, maxPoints: 30, interval: 11, games: 1 },
+    timed: { label: '⏱️ จับเวลา / แต้มรวม (เกมเดียว)', timed: true, games: 1 }
+};
+
 const LEVEL_LABELS = {
     beginner: '🟢 มือใหม่',
     intermediate: '🟡 ปานกลาง',
@@ -46,6 +116,22 @@ const LEVEL_LABELS = {
     pro: '🔴 โปร'
 };
 
+function getDefaultSettings() {
+    return {
+        matchType: 'doubles', // 'singles', 'doubles' or 'both' (singles for players who opt in)
+        pairingMode: 'random', // 'random', 'balanced', 'separate', 'mixed'
+        variety: 'normal', // 'off', 'normal', 'high' - avoid repeat partners/opponents
+        courtCount: 2,
+        multiCourt: false, // Can a player play on multiple courts at once
+        continuousMode: false, // Start the next match automatically when a court frees up
+        winnerStaysOn: false, // Winning team keeps the court against the next challengers
+        maxWinStreak: 3, // Wins in a row before winners must sit out (0 = no limit)
+        handicap: false, // Weaker side starts each set with bonus points
+        scoringFormat: 'games21', // Key of SCORING_FORMATS, can be changed per match when scoring
+        courtProfiles: {} // Court number -> name and restrictions, see Court Profiles
+    };
+}
+
 // ============================================
 // LocalStorage Functions
 // ============================================
@@ -59,11 +145,57 @@ function loadFromStorage() {
     if (saved) {
         const parsed = JSON.parse(saved);
         Object.assign(state, parsed);
+        // Fill in settings added after the data was saved
+        state.settings = { ...getDefaultSettings(), ...state.settings };
+        linkMatchCopies();
+        startNewSessionIfStale();
         return true;
     }
     return false;
 }
 
+/**
+ * The roster is kept between club nights. When the saved data hasn't been
+ * touched for SESSION_GAP_HOURS, everyone starts the new session as if
+ * they'd just arrived, so bench time doesn't count the days in between.
+ */
+function startNewSessionIfStale() {
+    const lastActivity = Math.max(0, ...[
+        ...state.players.flatMap(p => [p.arrivedAt || p.createdAt, p.restStartedAt, p.restEndedAt]),
+        ...state.matches.flatMap(m => [m.createdAt, m.startedAt, m.completedAt])
+    ].filter(Boolean).map(t => new Date(t).getTime()));
+    if (lastActivity === 0 || Date.now() - lastActivity < SESSION_GAP_HOURS * 3600 * 1000) return;
+
+    const now = new Date().toISOString();
+    state.players.forEach(player => {
+        player.arrivedAt = now;
+        player.waitCredit = 0;
+        player.restSeconds = 0;
+        if (player.isResting) player.restStartedAt = now;
+    });
+}
+
+/**
+ * JSON gives the queue and the courts their own copies of each match.
+ * Put the same object back in the match log, so a match finished on court
+ * is finished in the log too. The court and queue copies win, since
+ * they're the ones that were being updated.
+ */
+function linkMatchCopies() {
+    const active = new Map([...state.matchQueue, ...state.currentMatches].map(m => [m.id, m]));
+    state.matches = state.matches.map(m => active.get(m.id) || m);
+
+    // Data saved before this ran can hold a match finished on its court copy
+    // only. Matches leave the queue and courts only when they finish, so one
+    // the log still shows as waiting or playing is over and can be scored.
+    state.matches.forEach(match => {
+        if (match.status !== 'completed' && !active.has(match.id)) {
+            match.status = 'completed';
+            match.completedAt = match.completedAt || match.startedAt || match.createdAt;
+        }
+    });
+}
+
 // ============================================
 // Initialization
 // ============================================
@@ -78,11 +210,28 @@ function initializeUI() {
     // Set form values from state - safely check for element existence
     const courtCountEl = document.getElementById('courtCount');
     const pairingModeEl = document.getElementById('pairingMode');
+    const varietyModeEl = document.getElementById('varietyMode');
     const multiCourtEl = document.getElementById('multiCourt');
+    const continuousModeEl = document.getElementById('continuousMode');
+    const winnerStaysOnEl = document.getElementById('winnerStaysOn');
+    const maxWinStreakEl = document.getElementById('maxWinStreak');
+    const handicapEl = document.getElementById('handicapMode');
+    const scoringFormatEl = document.getElementById('scoringFormat');
+    const scoreFormatEl = document.getElementById('scoreFormat');
 
     if (courtCountEl) courtCountEl.value = state.settings.courtCount;
     if (pairingModeEl) pairingModeEl.value = state.settings.pairingMode;
+    if (varietyModeEl) varietyModeEl.value = state.settings.variety;
     if (multiCourtEl) multiCourtEl.checked = state.settings.multiCourt;
+    if (continuousModeEl) continuousModeEl.checked = state.settings.continuousMode;
+    if (winnerStaysOnEl) winnerStaysOnEl.checked = state.settings.winnerStaysOn;
+    if (maxWinStreakEl) maxWinStreakEl.value = state.settings.maxWinStreak;
+    if (handicapEl) handicapEl.checked = state.settings.handicap;
+    if (scoringFormatEl) {
+        scoringFormatEl.innerHTML = renderScoringFormatOptions();
+        scoringFormatEl.value = state.settings.scoringFormat;
+    }
+    if (scoreFormatEl) scoreFormatEl.innerHTML = renderScoringFormatOptions();
 
     // Set match type buttons
     document.querySelectorAll('.btn-toggle[data-type]').forEach(btn => {
@@ -100,7 +249,7 @@ function setMatchType(type) {
         btn.classList.toggle('active', btn.dataset.type === type);
     });
     saveToStorage();
-    showToast(`เปลี่ยนเป็นประเภท${type === 'doubles' ? 'คู่' : 'เดี่ยว'}`, 'success');
+    showToast(`เปลี่ยนเป็นประเภท${MATCH_TYPE_LABELS[type]}`, 'success');
 }
 
 function saveSetting(key, value) {
@@ -108,10 +257,27 @@ function saveSetting(key, value) {
     saveToStorage();
 
     if (key === 'courtCount') {
+        scheduleCourtWindowCheck();
         renderCourts();
     }
 }
 
+function setContinuousMode(enabled) {
+    state.settings.continuousMode = enabled;
+
+    const started = autoFillCourts();
+    saveToStorage();
+    renderAll();
+
+    if (!enabled) {
+        showToast('ปิดโหมดต่อเนื่อง', 'info');
+    } else if (started > 0) {
+        showToast(`เปิดโหมดต่อเนื่อง - เริ่ม ${started} แมตช์`, 'success');
+    } else {
+        showToast('เปิดโหมดต่อเนื่อง', 'success');
+    }
+}
+
 function adjustCourts(delta) {
     const input = document.getElementById('courtCount');
     const newValue = Math.max(1, Math.min(10, parseInt(input.value) + delta));
@@ -157,12 +323,42 @@ function showSettingsPanel() {
 // Player Management
 // ============================================
 
+function createPlayer(name, level, gender) {
+    const now = new Date().toISOString();
+
+    return {
+        id: generateId(),
+        name: name,
+        level: level,
+        gender: gender || null, // 'male', 'female' or null when not given
+        fixedPartnerId: null, // Locked doubles partner
+        avoidPartnerIds: [], // Never on the same team
+        preferPartnerIds: [], // On the same team when possible
+        avoidOpponentIds: [], // Never on opposite teams
+        preferOpponentIds: [], // Drawn against each other when possible
+        wantsSingles: false, // Plays singles when the session mixes singles and doubles
+        isPlaying: false,
+        isResting: false,
+        arrivedAt: now,
+        lastCompletedAt: null,
+        rating: null, // Set after the first scored match; until then the level decides
+        ratingDeviation: RATING_DEFAULT_DEVIATION,
+        ratingHistory: [],
+        ladderHistory: [], // Ladder position changes
+        restSeconds: 0, // Total time spent in rest mode
+        waitCredit: getArrivalWaitCredit(), // Bench time credited on arrival
+        createdAt: now
+    };
+}
+
 function addPlayer() {
     const nameInput = document.getElementById('playerName');
     const levelSelect = document.getElementById('playerLevel');
+    const genderSelect = document.getElementById('playerGender');
 
     const name = nameInput.value.trim();
     const level = levelSelect.value;
+    const gender = genderSelect.value;
 
     if (!name) {
         showToast('กรุณาใส่ชื่อผู้เล่น', 'error');
@@ -176,14 +372,7 @@ function addPlayer() {
         return;
     }
 
-    const player = {
-        id: generateId(),
-        name: name,
-        level: level,
-        matchCount: 0,
-        isPlaying: false,
-        createdAt: new Date().toISOString()
-    };
+    const player = createPlayer(name, level, gender);
 
     state.players.push(player);
     saveToStorage();
@@ -225,6 +414,7 @@ function switchAddPlayerTab(mode) {
 function addBulkPlayers() {
     const namesText = document.getElementById('bulkPlayerNames').value.trim();
     const level = document.getElementById('bulkPlayerLevel').value;
+    const gender = document.getElementById('bulkPlayerGender').value;
 
     if (!namesText) {
         showToast('กรุณากรอกรายชื่อผู้เล่น', 'error');
@@ -250,14 +440,7 @@ function addBulkPlayers() {
             return;
         }
 
-        const player = {
-            id: generateId(),
-            name: name,
-            level: level,
-            matchCount: 0,
-            isPlaying: false,
-            createdAt: new Date().toISOString()
-        };
+        const player = createPlayer(name, level, gender);
 
         state.players.push(player);
         addedCount++;
@@ -295,6 +478,9 @@ function removePlayer(id) {
     }
 
     if (confirm(`ลบผู้เล่น "${player.name}" ?`)) {
+        setFixedPartner(player, null);
+        removeFromConstraints(id);
+        removeFromLadder(id);
         state.players = state.players.filter(p => p.id !== id);
         saveToStorage();
         renderPlayers();
@@ -311,6 +497,23 @@ function editPlayer(id) {
     document.getElementById('editPlayerId').value = player.id;
     document.getElementById('editPlayerName').value = player.name;
     document.getElementById('editPlayerLevel').value = player.level;
+    document.getElementById('editPlayerGender').value = player.gender || '';
+    document.getElementById('editPlayerWantsSingles').checked = !!player.wantsSingles;
+
+    const partnerSelect = document.getElementById('editPlayerPartner');
+    const others = state.players.filter(p => p.id !== player.id).sort((a, b) => a.name.localeCompare(b.name));
+    partnerSelect.innerHTML = '<option value="">➖ ไม่มี</option>' + others.map(p => `
+        <option value="${p.id}">${escapeHtml(p.name)}${p.fixedPartnerId && p.fixedPartnerId !== player.id ? ' (มีคู่แล้ว)' : ''}</option>
+    `).join('');
+    partnerSelect.value = player.fixedPartnerId || '';
+
+    CONSTRAINT_KEYS.forEach(key => {
+        const select = document.getElementById(`editPlayer-${key}`);
+        select.innerHTML = others.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+        Array.from(select.options).forEach(option => {
+            option.selected = (player[key] || []).includes(option.value);
+        });
+    });
 
     // Show modal
     document.getElementById('editPlayerModal').classList.add('show');
@@ -320,6 +523,8 @@ function saveEditPlayer() {
     const id = document.getElementById('editPlayerId').value;
     const newName = document.getElementById('editPlayerName').value.trim();
     const newLevel = document.getElementById('editPlayerLevel').value;
+    const newGender = document.getElementById('editPlayerGender').value;
+    const newPartnerId = document.getElementById('editPlayerPartner').value;
 
     if (!newName) {
         showToast('กรุณากรอกชื่อผู้เล่น', 'error');
@@ -331,6 +536,14 @@ function saveEditPlayer() {
 
     player.name = newName;
     player.level = newLevel;
+    player.gender = newGender || null;
+    player.wantsSingles = document.getElementById('editPlayerWantsSingles').checked;
+    setFixedPartner(player, newPartnerId || null);
+
+    CONSTRAINT_KEYS.forEach(key => {
+        const select = document.getElementById(`editPlayer-${key}`);
+        player[key] = Array.from(select.selectedOptions).map(option => option.value);
+    });
 
     saveToStorage();
     renderPlayers();
@@ -356,12 +569,22 @@ function changePlayerLevel(id, newLevel) {
 // ============================================
 
 function generateRound() {
-    const playersNeeded = state.settings.matchType === 'doubles' ? 4 : 2;
-    const availablePlayers = state.players.filter(p => !p.isPlaying);
+    const benchPlayers = state.players.filter(p => !p.isPlaying && !p.isResting);
+    const playersNeeded = getPlayersNeeded(benchPlayers);
+    const queueDepths = getQueueDepths();
+    let availablePlayers = benchPlayers.filter(p => !queueDepths.has(p.id));
 
     if (availablePlayers.length < playersNeeded) {
-        showToast(`ต้องการผู้เล่นอย่างน้อย ${playersNeeded} คน`, 'error');
-        return;
+        if (benchPlayers.length < playersNeeded) {
+            showToast(`ต้องการผู้เล่นอย่างน้อย ${playersNeeded} คน`, 'error');
+            return;
+        }
+
+        // Everyone free is already queued: only extend the queue when asked to
+        if (!confirm('ผู้เล่นที่ว่างอยู่มีแมตช์ในคิวแล้ว ต้องการต่อคิวเพิ่มโดยหมุนเวียนผู้เล่นเหล่านี้?')) {
+            return;
+        }
+        availablePlayers = benchPlayers;
     }
 
     state.currentRound++;
@@ -374,7 +597,7 @@ function generateRound() {
     };
 
     // Generate matches based on pairing mode
-    const matches = generateMatches(availablePlayers);
+    const matches = generateSessionMatches(availablePlayers);
 
     matches.forEach(match => {
         match.roundId = round.id;
@@ -389,11 +612,60 @@ function generateRound() {
 
     renderAll();
     showToast(`สร้างรอบที่ ${state.currentRound} เรียบร้อย (${matches.length} แมตช์)`, 'success');
+
+    if (state.settings.pairingMode === 'mixed' && matches.some(m => m.type === 'doubles' && !m.isMixed)) {
+        showToast('ชาย/หญิงไม่พอจัดคู่ผสมทุกแมตช์ บางแมตช์จัดตามระดับแทน', 'info');
+    }
+
+    showConstraintWarnings();
+}
+
+// Fewest players that can make a match: singles opt-ins can play each other in a mixed session
+function getPlayersNeeded(players) {
+    switch (state.settings.matchType) {
+        case 'singles': return 2;
+        case 'both': return players.filter(p => p.wantsSingles).length >= 2 ? 2 : 4;
+        default: return 4;
+    }
+}
+
+/**
+ * Builds the next matches for the session's match type. In a mixed
+ * session the courts are split between singles (for players who opted
+ * in) and doubles (for everyone else), picking the split that puts the
+ * most players on court and favouring singles when it's a tie.
+ */
+function generateSessionMatches(availablePlayers, courtsToFill = state.settings.courtCount) {
+    if (state.settings.matchType !== 'both') {
+        return generateMatches(availablePlayers, courtsToFill);
+    }
+
+    const players = availablePlayers.filter(p => !p.isResting);
+    const optIns = players.filter(p => p.wantsSingles);
+
+    let singlesCourts = 0;
+    let bestOnCourt = -1;
+    for (let s = 0; s <= Math.min(courtsToFill, Math.floor(optIns.length / 2)); s++) {
+        const doublesCourts = Math.min(courtsToFill - s, Math.floor((players.length - s * 2) / 4));
+        const onCourt = s * 2 + doublesCourts * 4;
+        if (onCourt >= bestOnCourt) {
+            singlesCourts = s;
+            bestOnCourt = onCourt;
+        }
+    }
+
+    const singles = generateMatches(optIns, singlesCourts, 'singles');
+    const warnings = constraintWarnings;
+    const used = new Set(singles.flatMap(m => [...m.team1, ...m.team2]));
+    const doubles = generateMatches(players.filter(p => !used.has(p.id)), courtsToFill - singles.length, 'doubles');
+    constraintWarnings = [...warnings, ...constraintWarnings];
+
+    return [...singles, ...doubles];
 }
 
-function generateMatches(availablePlayers) {
+function generateMatches(availablePlayers, courtsToFill = state.settings.courtCount, matchType = state.settings.matchType) {
     const matches = [];
-    const isDoubles = state.settings.matchType === 'doubles';
+    const isDoubles = matchType === 'doubles';
     const playersPerMatch = isDoubles ? 4 : 2;
     const playersPerTeam = isDoubles ? 2 : 1;
 
@@ -405,38 +677,110 @@ function generateMatches(availablePlayers) {
             shuffledPlayers = shuffleArray(shuffledPlayers);
             break;
         case 'balanced':
-            shuffledPlayers = balancePlayers(shuffledPlayers);
+            // Teams are balanced after the players are picked, see findBalancedGroupings
+            shuffledPlayers = shuffleArray(shuffledPlayers);
             break;
         case 'separate':
+        case 'mixed':
+            // Mixed falls back to level doubles when the genders don't pair up
             shuffledPlayers = separateByLevel(shuffledPlayers);
             break;
     }
 
-    // Prioritize players with fewer matches
-    shuffledPlayers.sort((a, b) => a.matchCount - b.matchCount);
+    // Prioritize players who have waited longest (whole minutes, so ties keep the mode's order).
+    // Anyone already queued goes behind everyone who isn't, soonest-scheduled first
+    const now = Date.now();
+    const queueDepths = getQueueDepths();
+    const priorities = new Map(shuffledPlayers.map(p => [p.id,
+        Math.floor(getWaitSeconds(p, now) / 60) - (queueDepths.get(p.id) || 0) * QUEUE_DEPTH_PENALTY]));
+    shuffledPlayers.sort((a, b) => priorities.get(b.id) - priorities.get(a.id));
+
+    // Fixed pairs only matter in doubles, where they wait and play as one unit
+    const partners = isDoubles ? getBenchPartners(shuffledPlayers) : new Map();
+    if (partners.size > 0) {
+        shuffledPlayers = groupFixedPairs(shuffledPlayers, priorities, partners);
+    }
 
     // Create matches
-    const courtsToFill = state.settings.courtCount;
+    const varietyWeight = VARIETY_WEIGHTS[state.settings.variety] || 0;
+    const lookahead = VARIETY_LOOKAHEAD[state.settings.variety] || 0;
+    const history = varietyWeight > 0 ? buildPairingHistory(state.matches) : null;
+    const isMixed = isDoubles && state.settings.pairingMode === 'mixed';
+    const searchHistory = history || (hasPairingConstraints(shuffledPlayers) ? { partners: {}, opponents: {} } : null);
     let matchesCreated = 0;
     let usedPlayers = new Set();
+    constraintWarnings = [];
+
+    let balancedGroupings = null;
+    let balancedIndex = 0;
+    if (state.settings.pairingMode === 'balanced') {
+        let matchTotal = Math.min(courtsToFill, Math.floor(shuffledPlayers.length / playersPerMatch));
+        // A fixed pair that doesn't fit can leave the pick short of a full match
+        matchTotal = Math.floor(takeUnits(shuffledPlayers, matchTotal * playersPerMatch, partners).length / playersPerMatch);
+        const selected = takeUnits(shuffledPlayers, matchTotal * playersPerMatch, partners);
+        balancedGroupings = findBalancedGroupings(selected, playersPerTeam, history, varietyWeight, partners);
+    }
 
     while (matchesCreated < courtsToFill) {
         const available = shuffledPlayers.filter(p => !usedPlayers.has(p.id));
 
         if (available.length < playersPerMatch) break;
 
-        const selectedPlayers = available.slice(0, playersPerMatch);
+        let grouping = null;
+
+        if (balancedGroupings) {
+            if (balancedIndex >= balancedGroupings.length) break;
+            grouping = balancedGroupings[balancedIndex++];
+        } else {
+            if (isMixed) {
+                grouping = pickMixedTeams(available, history, varietyWeight, partners);
+                if (grouping) grouping.isMixed = true;
+            }
+            if (!grouping && searchHistory) {
+                const candidates = available.slice(0, playersPerMatch + lookahead);
+                grouping = pickVariedGrouping(candidates, playersPerTeam, searchHistory, varietyWeight, partners);
+            }
+            if (!grouping) {
+                const picked = takeUnits(available, playersPerMatch, partners);
+                if (picked.length < playersPerMatch) break;
+                grouping = pickTeamSplit(picked, playersPerTeam, partners);
+            }
+        }
+
+        // Hard constraints: search the whole bench, or leave the player out and say why
+        const violations = getConstraintViolations(grouping.team1, grouping.team2);
+        if (violations.length > 0) {
+            const fallback = balancedGroupings ? null :
+                pickVariedGrouping(available, playersPerTeam, searchHistory, varietyWeight, partners);
+
+            if (fallback) {
+                grouping = fallback;
+            } else {
+                constraintWarnings.push(`จัดแมตช์ไม่ได้ตามข้อจำกัด (${violations.join(', ')})`);
+                if (!balancedGroupings) {
+                    const first = available[0];
+                    usedPlayers.add(first.id);
+                    if (partners.has(first.id)) usedPlayers.add(partners.get(first.id).id);
+                }
+                continue;
+            }
+        }
+
+        const { team1, team2 } = grouping;
+        const selectedPlayers = [...team1, ...team2];
 
         const match = {
             id: generateId(),
-            type: state.settings.matchType,
-            team1: selectedPlayers.slice(0, playersPerTeam).map(p => p.id),
-            team2: selectedPlayers.slice(playersPerTeam).map(p => p.id),
+            type: isDoubles ? 'doubles' : 'singles',
+            team1: team1.map(p => p.id),
+            team2: team2.map(p => p.id),
             status: 'pending', // pending, playing, completed
             court: null,
             createdAt: new Date().toISOString()
         };
 
+        if (grouping.isMixed) match.isMixed = true;
+
         matches.push(match);
         selectedPlayers.forEach(p => usedPlayers.add(p.id));
         matchesCreated++;
@@ -445,15 +789,184 @@ function generateMatches(availablePlayers) {
     return matches;
 }
 
-function balancePlayers(players) {
-    if (state.settings.matchType === 'singles') {
+/**
+ * Mixed doubles: the two longest-waiting men and women, split into two
+ * man + woman teams. A fixed man + woman pair counts as a ready-made team;
+ * other fixed pairs sit this match out. Returns null when the genders
+ * don't add up to two teams.
+ */
+function pickMixedTeams(available, history, weight, partners) {
+    const readyTeams = [];
+    const men = [];
+    const women = [];
+    const seen = new Set();
+
+    for (const p of available) {
+        if (readyTeams.length + Math.min(men.length, women.length) >= 2) break;
+        if (seen.has(p.id)) continue;
+        seen.add(p.id);
+
+        const partner = partners.get(p.id);
+        if (partner) {
+            seen.add(partner.id);
+            const genders = [p.gender, partner.gender].sort().join();
+            if (genders === 'female,male') readyTeams.push([p, partner]);
+        } else if (p.gender === 'male') {
+            men.push(p);
+        } else if (p.gender === 'female') {
+            women.push(p);
+        }
+    }
+
+    const teamsNeeded = 2 - readyTeams.length;
+    if (Math.min(men.length, women.length) < teamsNeeded) return null;
+
+    let splits;
+    if (teamsNeeded === 2) {
+        splits = [
+            { team1: [men[0], women[0]], team2: [men[1], women[1]] },
+            { team1: [men[0], women[1]], team2: [men[1], women[0]] }
+        ];
+    } else if (teamsNeeded === 1) {
+        splits = [{ team1: readyTeams[0], team2: [men[0], women[0]] }];
+    } else {
+        splits = [{ team1: readyTeams[0], team2: readyTeams[1] }];
+    }
+
+    let best = null;
+    splits.forEach(split => {
+        if (getConstraintViolations(split.team1, split.team2).length > 0) return;
+
+        const cost = getStrengthGap(split.team1, split.team2) / RATING_BAND +
+            (history ? scorePairingRepeats(split.team1, split.team2, history) * weight : 0) +
+            scoreConstraints(split.team1, split.team2);
+        if (!best || cost < best.cost) {
+            best = { ...split, cost };
+        }
+    });
+
+    return best;
+}
+
+function getTeamStrength(team) {
+    return team.reduce((sum, p) => sum + getPlayerRating(p), 0) / team.length;
+}
+
+function getStrengthGap(team1, team2) {
+    return Math.abs(getTeamStrength(team1) - getTeamStrength(team2));
+}
+
+/**
+ * Balanced mode: split the picked players into matches so that every court
+ * is as even as possible. Cost is the sum of squared team gaps (so one very
+ * lopsided court costs more than several slightly uneven ones), plus the
+ * variety penalty. Starts from the greedy strongest/weakest order, then
+ * improves by swapping players until no swap helps, with a few random restarts.
+ * Fixed pairs are placed as whole teams and only ever move as a team.
+ */
+function findBalancedGroupings(players, playersPerTeam, history, weight, partners) {
+    const playersPerMatch = playersPerTeam * 2;
+    const matchTotal = Math.floor(players.length / playersPerMatch);
+    if (matchTotal === 0) return [];
+
+    const toGroupings = slots => {
+        const groupings = [];
+        for (let i = 0; i < matchTotal; i++) {
+            const start = i * playersPerMatch;
+            groupings.push({
+                team1: slots.slice(start, start + playersPerTeam),
+                team2: slots.slice(start + playersPerTeam, start + playersPerMatch)
+            });
+        }
+        return groupings;
+    };
+
+    const costOf = slots => toGroupings(slots).reduce((sum, { team1, team2 }) => {
+        const gap = getStrengthGap(team1, team2);
+        const repeats = history ? scorePairingRepeats(team1, team2, history) * weight : 0;
+        return sum + gap * gap + (repeats + scoreConstraints(team1, team2)) * BALANCE_REPEAT_COST;
+    }, 0);
+
+    // Fixed pairs first, each filling a whole team, then everyone else
+    const seedSlots = (ordered, arrangeSingles) => {
+        const pairSlots = [];
+        ordered.forEach(p => {
+            const partner = partners.get(p.id);
+            if (partner && !pairSlots.includes(p)) pairSlots.push(p, partner);
+        });
+        return [...pairSlots, ...arrangeSingles(ordered.filter(p => !partners.has(p.id)))];
+    };
+
+    const swapTeams = (slots, a, b) => {
+        for (let k = 0; k < playersPerTeam; k++) {
+            const i = a * playersPerTeam + k;
+            const j = b * playersPerTeam + k;
+            [slots[i], slots[j]] = [slots[j], slots[i]];
+        }
+    };
+
+    const improve = slots => {
+        let cost = costOf(slots);
+        let improved = true;
+
+        const tryMove = (apply, undo) => {
+            apply();
+            const newCost = costOf(slots);
+            if (newCost < cost - 1e-9) {
+                cost = newCost;
+                improved = true;
+            } else {
+                undo();
+            }
+        };
+
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < slots.length; i++) {
+                for (let j = i + 1; j < slots.length; j++) {
+                    // Swapping teammates changes nothing, and fixed pairs never split
+                    if (Math.floor(i / playersPerTeam) === Math.floor(j / playersPerTeam)) continue;
+                    if (partners.has(slots[i].id) || partners.has(slots[j].id)) continue;
+
+                    const swap = () => { [slots[i], slots[j]] = [slots[j], slots[i]]; };
+                    tryMove(swap, swap);
+                }
+            }
+
+            if (partners.size > 0) {
+                const teamTotal = slots.length / playersPerTeam;
+                for (let a = 0; a < teamTotal; a++) {
+                    for (let b = a + 1; b < teamTotal; b++) {
+                        if (Math.floor(a / 2) === Math.floor(b / 2)) continue;
+
+                        const swap = () => swapTeams(slots, a, b);
+                        tryMove(swap, swap);
+                    }
+                }
+            }
+        }
+
+        return { slots, cost };
+    };
+
+    let best = improve(seedSlots(players, list => balancePlayers(list, playersPerTeam === 2)));
+    for (let i = 0; i < BALANCE_SEARCH_RESTARTS && best.cost > 0; i++) {
+        const attempt = improve(seedSlots(shuffleArray(players), shuffleArray));
+        if (attempt.cost < best.cost) best = attempt;
+    }
+
+    return toGroupings(best.slots);
+}
+
+function balancePlayers(players, isDoubles) {
+    if (!isDoubles) {
         // For singles, pair similar levels
-        return [...players].sort((a, b) => LEVEL_WEIGHTS[a.level] - LEVEL_WEIGHTS[b.level]);
+        return [...players].sort((a, b) => getPlayerRating(a) - getPlayerRating(b));
     }
 
     // For doubles, create balanced teams
-    // Sort by level weight
-    const sorted = [...players].sort((a, b) => LEVEL_WEIGHTS[b.level] - LEVEL_WEIGHTS[a.level]);
+    // Sort by rating
+    const sorted = [...players].sort((a, b) => getPlayerRating(b) - getPlayerRating(a));
     const result = [];
 
     // Pair strongest with weakest for each team
@@ -474,753 +987,856 @@ function balancePlayers(players) {
 }
 
 function separateByLevel(players) {
-    // Group by level
-    const groups = {
-        pro: [],
-        advanced: [],
-        intermediate: [],
-        beginner: []
-    };
+    // Group by rating band
+    const groups = {};
 
-    players.forEach(p => groups[p.level].push(p));
+    players.forEach(p => {
+        const band = Math.floor(getPlayerRating(p) / RATING_BAND);
+        (groups[band] = groups[band] || []).push(p);
+    });
 
-    // Return shuffled within each group
+    // Return shuffled within each group, strongest band first
     const result = [];
-    ['pro', 'advanced', 'intermediate', 'beginner'].forEach(level => {
-        result.push(...shuffleArray(groups[level]));
+    Object.keys(groups).map(Number).sort((a, b) => b - a).forEach(band => {
+        result.push(...shuffleArray(groups[band]));
     });
 
     return result;
 }
 
 // ============================================
-// Match Control
+// Wait Time Fairness
 // ============================================
 
-function startNextMatch() {
-    if (state.matchQueue.length === 0) {
-        showToast('ไม่มีแมตช์ในคิว', 'info');
-        return;
-    }
+function getElapsedSeconds(isoTime, now) {
+    return isoTime ? Math.max(0, Math.floor((now - new Date(isoTime).getTime()) / 1000)) : 0;
+}
 
-    const availableCourts = getAvailableCourts();
+/**
+ * Total bench time since the player arrived: time present minus time on
+ * court and time resting, plus any credit given on a late arrival.
+ */
+function getWaitSeconds(player, now = Date.now()) {
+    let seconds = getElapsedSeconds(player.arrivedAt || player.createdAt, now) -
+        getPlayerCourtSeconds(player.id, player.arrivedAt || player.createdAt) - (player.restSeconds || 0);
 
-    if (availableCourts.length === 0) {
-        showToast('คอร์ทเต็มหมดแล้ว', 'error');
-        return;
+    if (player.isResting) {
+        seconds -= getElapsedSeconds(player.restStartedAt, now);
     }
 
-    // Find matches that can be played
-    let matchesStarted = 0;
+    if (player.isPlaying) {
+        const match = state.currentMatches.find(m => [...m.team1, ...m.team2].includes(player.id));
+        if (match) seconds -= getElapsedSeconds(match.startedAt, now);
+    }
 
-    for (const courtNum of availableCourts) {
-        const matchIndex = state.matchQueue.findIndex(match => {
-            const players = [...match.team1, ...match.team2];
-            return players.every(playerId => {
-                const player = state.players.find(p => p.id === playerId);
-                return player && (!player.isPlaying || state.settings.multiCourt);
-            });
-        });
+    return Math.max(0, (player.waitCredit || 0) + seconds);
+}
 
-        if (matchIndex === -1) break;
+// Late arrivals start with the group's average bench time instead of zero
+function getArrivalWaitCredit() {
+    const present = state.players.filter(p => !p.isResting);
+    if (present.length === 0) return 0;
 
-        const match = state.matchQueue.splice(matchIndex, 1)[0];
-        match.status = 'playing';
-        match.court = courtNum;
-        match.startedAt = new Date().toISOString();
+    const now = Date.now();
+    const total = present.reduce((sum, p) => sum + getWaitSeconds(p, now), 0);
+    return Math.round(total / present.length);
+}
 
-        state.currentMatches.push(match);
+// How long the player has been sitting out since their last match (or arrival)
+function getSittingOutSeconds(player, now = Date.now()) {
+    const since = [player.lastCompletedAt, player.restEndedAt, player.arrivedAt || player.createdAt]
+        .filter(Boolean)
+        .map(t => new Date(t).getTime());
+    return since.length > 0 ? Math.max(0, Math.floor((now - Math.max(...since)) / 1000)) : 0;
+}
 
-        // Mark players as playing
-        [...match.team1, ...match.team2].forEach(playerId => {
-            const player = state.players.find(p => p.id === playerId);
-            if (player) {
-                player.isPlaying = true;
-                player.matchCount++;
+// ============================================
+// Pairing Variety
+// ============================================
+
+function getPairKey(idA, idB) {
+    return idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+}
+
+// Count how often each pair of players has been partners or opponents
+function buildPairingHistory(matches) {
+    const history = { partners: {}, opponents: {} };
+
+    matches.forEach(match => {
+        [match.team1, match.team2].forEach(team => {
+            for (let i = 0; i < team.length; i++) {
+                for (let j = i + 1; j < team.length; j++) {
+                    const key = getPairKey(team[i], team[j]);
+                    history.partners[key] = (history.partners[key] || 0) + 1;
+                }
             }
         });
 
-        matchesStarted++;
-    }
-
-    if (matchesStarted === 0) {
-        showToast('ไม่สามารถเริ่มแมตช์ได้ (ผู้เล่นกำลังแข่งอยู่)', 'error');
-        return;
-    }
+        match.team1.forEach(a => {
+            match.team2.forEach(b => {
+                const key = getPairKey(a, b);
+                history.opponents[key] = (history.opponents[key] || 0) + 1;
+            });
+        });
+    });
 
-    saveToStorage();
-    renderAll();
-    showToast(`เริ่ม ${matchesStarted} แมตช์`, 'success');
+    return history;
 }
 
-function getAvailableCourts() {
-    const usedCourts = new Set(state.currentMatches.map(m => m.court));
-    const available = [];
+function scorePairingRepeats(team1, team2, history) {
+    let penalty = 0;
 
-    for (let i = 1; i <= state.settings.courtCount; i++) {
-        if (!usedCourts.has(i)) {
-            available.push(i);
+    [team1, team2].forEach(team => {
+        for (let i = 0; i < team.length; i++) {
+            for (let j = i + 1; j < team.length; j++) {
+                penalty += (history.partners[getPairKey(team[i].id, team[j].id)] || 0) * PARTNER_REPEAT_PENALTY;
+            }
         }
-    }
+    });
 
-    return available;
+    team1.forEach(a => {
+        team2.forEach(b => {
+            penalty += (history.opponents[getPairKey(a.id, b.id)] || 0) * OPPONENT_REPEAT_PENALTY;
+        });
+    });
+
+    return penalty;
 }
 
-function completeCurrentMatches() {
-    if (state.currentMatches.length === 0) {
-        showToast('ไม่มีแมตช์ที่กำลังแข่งอยู่', 'info');
-        return;
-    }
+// All ways to pick `size` items from `items`, keeping their order
+function getCombinations(items, size) {
+    if (size === 0) return [[]];
+    if (items.length < size) return [];
 
-    state.currentMatches.forEach(match => {
-        match.status = 'completed';
-        match.completedAt = new Date().toISOString();
+    const [first, ...rest] = items;
+    const withFirst = getCombinations(rest, size - 1).map(combo => [first, ...combo]);
+    return [...withFirst, ...getCombinations(rest, size)];
+}
 
-        // Mark players as not playing
-        [...match.team1, ...match.team2].forEach(playerId => {
-            const player = state.players.find(p => p.id === playerId);
-            if (player) {
-                player.isPlaying = false;
+// All ways to split a match's players into two teams (ignoring team order)
+function getTeamSplits(players, playersPerTeam) {
+    const [anchor, ...rest] = players;
+    return getCombinations(rest, playersPerTeam - 1).map(partners => {
+        const team1 = [anchor, ...partners];
+        const team2 = players.filter(p => !team1.includes(p));
+        return { team1, team2 };
+    });
+}
+
+/**
+ * Choose the players and teams for one match from the front of the bench.
+ * Candidates are in priority order; the first one always plays, and skipping
+ * further down the list costs one point per place so fairness still wins
+ * unless a grouping is clearly repetitive.
+ */
+function pickVariedGrouping(candidates, playersPerTeam, history, weight, partners) {
+    const playersPerMatch = playersPerTeam * 2;
+    const [first, ...others] = candidates;
+    let best = null;
+
+    getCombinations(others, playersPerMatch - 1).forEach(combo => {
+        const players = [first, ...combo];
+
+        // A fixed pair plays together or not at all
+        if (!players.every(p => !partners.has(p.id) || players.includes(partners.get(p.id)))) return;
+
+        const skipCost = players.reduce((sum, p) => sum + candidates.indexOf(p), 0) -
+            (playersPerMatch * (playersPerMatch - 1)) / 2;
+
+        // Keep the pairing mode's own order as the first split so it wins ties
+        const splits = [
+            { team1: players.slice(0, playersPerTeam), team2: players.slice(playersPerTeam) },
+            ...getTeamSplits(players, playersPerTeam)
+        ];
+
+        splits.forEach(split => {
+            if (!keepsPartnersTogether(split.team1, split.team2, partners)) return;
+            if (getConstraintViolations(split.team1, split.team2).length > 0) return;
+
+            const cost = skipCost + scorePairingRepeats(split.team1, split.team2, history) * weight +
+                scoreConstraints(split.team1, split.team2);
+            if (!best || cost < best.cost) {
+                best = { ...split, cost };
             }
         });
     });
 
-    state.currentMatches = [];
-    saveToStorage();
-    renderAll();
-    showToast('จบแมตช์เรียบร้อย', 'success');
+    return best;
 }
 
-function completeMatch(matchId) {
-    const matchIndex = state.currentMatches.findIndex(m => m.id === matchId);
-    if (matchIndex === -1) return;
+// ============================================
+// Fixed Pairs
+// ============================================
 
-    const match = state.currentMatches.splice(matchIndex, 1)[0];
-    match.status = 'completed';
-    match.completedAt = new Date().toISOString();
+function setFixedPartner(player, partnerId) {
+    if (player.fixedPartnerId === partnerId) return;
 
-    [...match.team1, ...match.team2].forEach(playerId => {
-        const player = state.players.find(p => p.id === playerId);
-        if (player) {
-            player.isPlaying = false;
+    const unlink = p => {
+        const oldPartner = state.players.find(o => o.id === p.fixedPartnerId);
+        if (oldPartner) oldPartner.fixedPartnerId = null;
+        p.fixedPartnerId = null;
+    };
+
+    unlink(player);
+
+    const partner = state.players.find(p => p.id === partnerId);
+    if (partner && partner !== player) {
+        unlink(partner);
+        player.fixedPartnerId = partner.id;
+        partner.fixedPartnerId = player.id;
+    }
+}
+
+// Fixed partners who are both in the given list, keyed by each player's id
+function getBenchPartners(players) {
+    const byId = new Map(players.map(p => [p.id, p]));
+    const partners = new Map();
+
+    players.forEach(p => {
+        const partner = p.fixedPartnerId ? byId.get(p.fixedPartnerId) : null;
+        if (partner && partner.fixedPartnerId === p.id) {
+            partners.set(p.id, partner);
         }
     });
 
-    saveToStorage();
-    renderAll();
-    showToast('จบแมตช์เรียบร้อย', 'success');
+    return partners;
 }
 
-// ============================================
-// Rendering Functions
-// ============================================
+// Re-sort by priority with each fixed pair as one unit (their average), partners side by side
+function groupFixedPairs(players, priorities, partners) {
+    const unitPriority = p => {
+        const partner = partners.get(p.id);
+        return partner ? (priorities.get(p.id) + priorities.get(partner.id)) / 2 : priorities.get(p.id);
+    };
 
-function renderAll() {
-    renderPlayers();
-    renderCourts();
-    renderQueue();
-    renderSchedule();
-    updateStats();
-}
+    const result = [];
+    [...players].sort((a, b) => unitPriority(b) - unitPriority(a)).forEach(p => {
+        if (result.includes(p)) return;
+        result.push(p);
+        if (partners.has(p.id)) result.push(partners.get(p.id));
+    });
 
-function renderPlayers() {
-    const container = document.getElementById('playerList');
-    const countEl = document.getElementById('playerCount');
-    const countModalEl = document.getElementById('playerCountModal');
-    const statsEl = document.getElementById('playerStats');
-    const statsModalEl = document.getElementById('playerStatsModal');
-
-    // Update counts in both places
-    if (countEl) countEl.textContent = state.players.length;
-    if (countModalEl) countModalEl.textContent = state.players.length;
-
-    // Calculate level stats
-    const levelCounts = { beginner: 0, intermediate: 0, advanced: 0, pro: 0 };
-    state.players.forEach(p => levelCounts[p.level]++);
+    return result;
+}
 
-    const statsHtml = Object.entries(levelCounts)
-        .filter(([_, count]) => count > 0)
-        .map(([level, count]) => `
-            <span class="stat-badge" style="border-left: 3px solid var(--level-${level})">${count}</span>
-        `).join('');
+// Up to `count` players from the front of the list, skipping a fixed pair that doesn't fit
+function takeUnits(players, count, partners) {
+    const taken = [];
 
-    if (statsEl) statsEl.innerHTML = statsHtml;
-    if (statsModalEl) statsModalEl.innerHTML = statsHtml;
+    for (const p of players) {
+        if (taken.length >= count) break;
+        if (taken.includes(p)) continue;
 
-    if (state.players.length === 0) {
-        container.innerHTML = '<div class="empty-state">ยังไม่มีผู้เล่น</div>';
-        return;
+        const partner = partners.get(p.id);
+        if (partner && players.includes(partner)) {
+            if (taken.length + 2 > count) continue;
+            taken.push(p, partner);
+        } else {
+            taken.push(p);
+        }
     }
 
-    // Sort by level and name
-    const sortedPlayers = [...state.players].sort((a, b) => {
-        const levelDiff = LEVEL_WEIGHTS[b.level] - LEVEL_WEIGHTS[a.level];
-        if (levelDiff !== 0) return levelDiff;
-        return a.name.localeCompare(b.name);
-    });
+    return taken;
+}
 
-    container.innerHTML = sortedPlayers.map(player => `
-        <div class="player-card ${player.isPlaying ? 'playing' : ''}">
-            <div class="player-info">
-                <div class="player-avatar" style="background: var(--level-${player.level})">${player.name.charAt(0).toUpperCase()}</div>
-                <div class="player-details">
-                    <span class="player-name">${escapeHtml(player.name)}</span>
-                    <span class="player-level ${player.level}">${LEVEL_LABELS[player.level]}</span>
-                </div>
-            </div>
-            <div class="player-actions">
-                <span class="player-match-count" title="จำนวนแมตช์">${player.matchCount} 🎮</span>
-                <button class="player-action-btn" onclick="editPlayer('${player.id}')" title="แก้ไข">✏️</button>
-                <button class="player-action-btn delete" onclick="removePlayer('${player.id}')" title="ลบ">🗑️</button>
-            </div>
-        </div>
-    `).join('');
+function keepsPartnersTogether(team1, team2, partners) {
+    return team1.every(p => !team2.includes(partners.get(p.id)));
 }
 
-function renderCourts() {
-    const container = document.getElementById('courtsGrid');
-    const courts = [];
+// The pairing mode's own split when it keeps fixed pairs together and breaks no hard
+// constraint, else the most even one that does (or that breaks the fewest)
+function pickTeamSplit(players, playersPerTeam, partners) {
+    const violations = split => getConstraintViolations(split.team1, split.team2).length;
+    const ordered = { team1: players.slice(0, playersPerTeam), team2: players.slice(playersPerTeam) };
+    if (keepsPartnersTogether(ordered.team1, ordered.team2, partners) && violations(ordered) === 0) return ordered;
+
+    return getTeamSplits(players, playersPerTeam)
+        .filter(split => keepsPartnersTogether(split.team1, split.team2, partners))
+        .sort((a, b) => violations(a) - violations(b) ||
+            getStrengthGap(a.team1, a.team2) - getStrengthGap(b.team1, b.team2))[0];
+}
 
-    for (let i = 1; i <= state.settings.courtCount; i++) {
-        const currentMatch = state.currentMatches.find(m => m.court === i);
-        courts.push({ number: i, match: currentMatch });
-    }
+// ============================================
+// Queue Awareness
+// ============================================
 
-    container.innerHTML = courts.map(court => {
-        if (court.match) {
-            const team1Players = court.match.team1.map(id => {
-                const p = state.players.find(pl => pl.id === id);
-                return p ? { name: escapeHtml(p.name), level: p.level } : { name: 'Unknown', level: 'beginner' };
-            });
-            const team2Players = court.match.team2.map(id => {
-                const p = state.players.find(pl => pl.id === id);
-                return p ? { name: escapeHtml(p.name), level: p.level } : { name: 'Unknown', level: 'beginner' };
-            });
+// Queue position (1-based) of each queued player's last scheduled match
+function getQueueDepths() {
+    const depths = new Map();
 
-            return `
-                <div class="court-card playing">
-                    <div class="court-header">
-                        <span class="court-number">🏟️ Court ${court.number}</span>
-                        <span class="court-status playing">กำลังแข่ง</span>
-                    </div>
-                    <div class="court-players">
-                        <div class="court-team">
-                            <span class="court-team-label">ทีม A</span>
-                            <div class="court-team-players">
-                                ${team1Players.map(p => `<span class="court-player level-${p.level}">${p.name}</span>`).join('')}
-                            </div>
-                        </div>
-                        <div class="court-vs">VS</div>
-                        <div class="court-team">
-                            <span class="court-team-label">ทีม B</span>
-                            <div class="court-team-players">
-                                ${team2Players.map(p => `<span class="court-player level-${p.level}">${p.name}</span>`).join('')}
-                            </div>
-                        </div>
-                    </div>
-                    <button class="btn btn-outline" style="width: 100%; margin-top: 1rem;" onclick="completeMatch('${court.match.id}')">
-                        ✅ จบแมตช์นี้
-                    </button>
-                </div>
-            `;
-        } else {
-            return `
-                <div class="court-card empty">
-                    <div class="court-header">
-                        <span class="court-number">🏟️ Court ${court.number}</span>
-                        <span class="court-status empty">ว่าง</span>
-                    </div>
-                    <div class="court-empty-message">รอผู้เล่น...</div>
-                </div>
-            `;
-        }
-    }).join('');
+    state.matchQueue.forEach((match, index) => {
+        [...match.team1, ...match.team2].forEach(playerId => depths.set(playerId, index + 1));
+    });
+
+    return depths;
 }
 
-function renderQueue() {
-    const container = document.getElementById('queueList');
+// ============================================
+// Pairing Constraints
+// ============================================
 
-    if (state.matchQueue.length === 0) {
-        container.innerHTML = '<div class="empty-state">ยังไม่มีคิว</div>';
-        return;
-    }
+// Warnings from the last generateMatches call, for the caller to show
+let constraintWarnings = [];
 
-    container.innerHTML = state.matchQueue.map((match, index) => {
-        const team1Names = match.team1.map(id => {
-            const p = state.players.find(pl => pl.id === id);
-            return p ? escapeHtml(p.name) : 'Unknown';
-        }).join(' & ');
+const CONSTRAINT_KEYS = ['avoidPartnerIds', 'preferPartnerIds', 'avoidOpponentIds', 'preferOpponentIds'];
 
-        const team2Names = match.team2.map(id => {
-            const p = state.players.find(pl => pl.id === id);
-            return p ? escapeHtml(p.name) : 'Unknown';
-        }).join(' & ');
+// A constraint applies when either player lists the other
+function hasConstraint(a, b, key) {
+    return (a[key] || []).includes(b.id) || (b[key] || []).includes(a.id);
+}
 
-        return `
-            <div class="queue-item">
-                <span class="queue-position">${index + 1}</span>
-                <div class="queue-match-info">
-                    <div class="queue-teams">${team1Names} <span style="color: var(--text-muted)">vs</span> ${team2Names}</div>
-                    <div class="queue-type">${match.type === 'doubles' ? 'คู่' : 'เดี่ยว'} | รอบที่ ${match.roundNumber}</div>
-                </div>
-            </div>
-        `;
-    }).join('');
+function hasPairingConstraints(players) {
+    return players.some(p => CONSTRAINT_KEYS.some(key => (p[key] || []).length > 0));
 }
 
-function renderSchedule() {
-    const container = document.getElementById('scheduleList');
-    const filter = document.getElementById('scheduleFilter').value;
+// Hard constraints broken by a grouping, as readable reasons
+function getConstraintViolations(team1, team2) {
+    const reasons = [];
 
-    if (state.rounds.length === 0) {
-        container.innerHTML = '<div class="empty-state">ยังไม่มีตารางแข่ง</div>';
-        return;
-    }
+    [team1, team2].forEach(team => {
+        for (let i = 0; i < team.length; i++) {
+            for (let j = i + 1; j < team.length; j++) {
+                if (hasConstraint(team[i], team[j], 'avoidPartnerIds')) {
+                    reasons.push(`${team[i].name} ห้ามคู่กับ ${team[j].name}`);
+                }
+            }
+        }
+    });
 
-    container.innerHTML = state.rounds.map(round => {
-        const roundMatches = state.matches.filter(m => m.roundId === round.id);
-        const filteredMatches = roundMatches.filter(m => filter === 'all' || m.status === filter);
+    team1.forEach(a => {
+        team2.forEach(b => {
+            if (hasConstraint(a, b, 'avoidOpponentIds')) {
+                reasons.push(`${a.name} ห้ามเจอ ${b.name}`);
+            }
+        });
+    });
 
-        if (filteredMatches.length === 0) return '';
+    return reasons;
+}
 
-        return `
-            <div class="schedule-round" onclick="toggleRound(this)">
-                <div class="schedule-round-header">
-                    <span class="schedule-round-title">
-                        📅 รอบที่ ${round.roundNumber}
-                        <span style="color: var(--text-muted); font-weight: normal; font-size: 0.85rem;">
-                            (${roundMatches.filter(m => m.status === 'completed').length}/${roundMatches.length} แมตช์)
-                        </span>
-                    </span>
-                    <span class="schedule-round-toggle">▼</span>
-                </div>
-                <div class="schedule-round-matches">
-                    ${filteredMatches.map(match => {
-            const team1Names = match.team1.map(id => {
-                const p = state.players.find(pl => pl.id === id);
-                return p ? escapeHtml(p.name) : 'Unknown';
-            }).join(' & ');
+function scoreConstraints(team1, team2) {
+    let cost = getConstraintViolations(team1, team2).length * HARD_CONSTRAINT_COST;
 
-            const team2Names = match.team2.map(id => {
-                const p = state.players.find(pl => pl.id === id);
-                return p ? escapeHtml(p.name) : 'Unknown';
-            }).join(' & ');
+    [team1, team2].forEach(team => {
+        for (let i = 0; i < team.length; i++) {
+            for (let j = i + 1; j < team.length; j++) {
+                if (hasConstraint(team[i], team[j], 'preferPartnerIds')) cost -= PREFERRED_PARTNER_BONUS;
+            }
+        }
+    });
 
-            return `
-                            <div class="schedule-match">
-                                <span class="schedule-match-status ${match.status}"></span>
-                                <div class="schedule-match-teams">
-                                    <span class="schedule-match-team">${team1Names}</span>
-                                    <span class="schedule-match-team">${team2Names}</span>
-                                </div>
-                                ${match.court ? `<span class="schedule-match-court">Court ${match.court}</span>` : ''}
-                            </div>
-                        `;
-        }).join('')}
-                </div>
-            </div>
-        `;
-    }).join('');
-}
+    team1.forEach(a => {
+        team2.forEach(b => {
+            if (hasConstraint(a, b, 'preferOpponentIds')) cost -= PREFERRED_OPPONENT_BONUS;
+        });
+    });
 
-function toggleRound(element) {
-    element.classList.toggle('collapsed');
+    return cost;
 }
 
-function filterSchedule(value) {
-    renderSchedule();
+function showConstraintWarnings() {
+    constraintWarnings.forEach(warning => showToast(`⚠️ ${escapeHtml(warning)}`, 'warning'));
+    constraintWarnings = [];
 }
 
-function updateStats() {
-    document.getElementById('currentRound').textContent = state.currentRound;
-    document.getElementById('totalRounds').textContent = state.rounds.length;
-
-    const totalMatches = state.matches.length;
-    const completedMatches = state.matches.filter(m => m.status === 'completed').length;
-    const pendingMatches = state.matchQueue.length + state.currentMatches.length;
-    const restingPlayers = state.players.filter(p => !p.isPlaying).length;
-
-    document.getElementById('totalMatches').textContent = totalMatches;
-    document.getElementById('completedMatches').textContent = completedMatches;
-    document.getElementById('pendingMatches').textContent = pendingMatches;
-    document.getElementById('restingPlayers').textContent = restingPlayers;
+function removeFromConstraints(playerId) {
+    state.players.forEach(p => {
+        CONSTRAINT_KEYS.forEach(key => {
+            if (p[key]) p[key] = p[key].filter(id => id !== playerId);
+        });
+    });
 }
 
 // ============================================
-// Data Management
+// Court Profiles
 // ============================================
 
-function exportData() {
-    const data = JSON.stringify(state, null, 2);
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+function getCourtProfile(courtNum) {
+    return {
+        name: `Court ${courtNum}`,
+        levels: [], // Levels allowed on the court; empty means everyone
+        singlesOnly: false,
+        openFrom: '', // 'HH:MM', empty for no limit
+        openUntil: '',
+        ...state.settings.courtProfiles[courtNum]
+    };
+}
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `badminton-schedule-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
+function getCourtName(courtNum) {
+    return getCourtProfile(courtNum).name;
+}
 
-    URL.revokeObjectURL(url);
-    showToast('ส่งออกข้อมูลเรียบร้อย', 'success');
+// 'HH:MM' -> minutes since midnight
+function timeToMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
 }
 
-function importData() {
-    document.getElementById('importModal').classList.add('show');
+// Whether the court's time window includes `now` (a window may run past midnight)
+function isCourtOpen(courtNum, now = new Date()) {
+    const { openFrom, openUntil } = getCourtProfile(courtNum);
+    if (!openFrom && !openUntil) return true;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const from = openFrom ? timeToMinutes(openFrom) : 0;
+    const until = openUntil ? timeToMinutes(openUntil) : 24 * 60;
+
+    return from <= until ? minutes >= from && minutes < until : minutes >= from || minutes < until;
 }
 
-function doImport() {
-    const textarea = document.getElementById('importData');
-    const data = textarea.value.trim();
+let courtWindowTimeout = null;
 
-    if (!data) {
-        showToast('กรุณาใส่ข้อมูล', 'error');
-        return;
+/**
+ * Courts open and close on the clock rather than on a user action, so wake
+ * up at the next opening or closing time to fill the court or show it
+ * closed. Rescheduled on every renderAll, which follows any profile change.
+ */
+function scheduleCourtWindowCheck() {
+    clearTimeout(courtWindowTimeout);
+    courtWindowTimeout = null;
+
+    const boundaries = [];
+    for (let i = 1; i <= state.settings.courtCount; i++) {
+        const { openFrom, openUntil } = getCourtProfile(i);
+        [openFrom, openUntil].filter(Boolean).forEach(time => boundaries.push(timeToMinutes(time)));
     }
+    if (boundaries.length === 0) return;
 
-    try {
-        const parsed = JSON.parse(data);
+    // Whole minutes to the next boundary (a boundary this minute has already passed), less the part of this minute gone
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const nextBoundary = Math.min(...boundaries.map(b => ((b - minutes + 24 * 60 - 1) % (24 * 60)) + 1));
+    const delay = nextBoundary * 60000 - now.getSeconds() * 1000 - now.getMilliseconds();
 
-        if (!parsed.players || !Array.isArray(parsed.players)) {
-            throw new Error('Invalid data format');
-        }
+    courtWindowTimeout = setTimeout(() => {
+        if (autoFillCourts() > 0) saveToStorage();
+        renderAll();
+    }, delay);
+}
 
-        Object.assign(state, parsed);
-        saveToStorage();
-        closeModal('importModal');
-        textarea.value = '';
+function isLevelAllowedOnCourt(courtNum, level) {
+    const { levels } = getCourtProfile(courtNum);
+    return levels.length === 0 || levels.includes(level);
+}
 
-        initializeUI();
-        renderAll();
-        showToast('นำเข้าข้อมูลเรียบร้อย', 'success');
-    } catch (e) {
-        showToast('รูปแบบข้อมูลไม่ถูกต้อง', 'error');
-    }
+function isMatchCompatibleWithCourt(match, courtNum) {
+    const profile = getCourtProfile(courtNum);
+    if (profile.singlesOnly && match.team1.length > 1) return false;
+
+    return [...match.team1, ...match.team2].every(playerId => {
+        const player = state.players.find(p => p.id === playerId);
+        return !player || isLevelAllowedOnCourt(courtNum, player.level);
+    });
 }
 
-function resetAll() {
-    if (!confirm('ต้องการล้างข้อมูลทั้งหมด? การดำเนินการนี้ไม่สามารถย้อนกลับได้')) {
-        return;
-    }
+// Restricted courts are offered first so open courts stay free for everyone else
+function getCourtRestrictiveness(courtNum) {
+    const profile = getCourtProfile(courtNum);
+    return (profile.levels.length > 0 ? 1 : 0) + (profile.singlesOnly ? 1 : 0);
+}
 
-    // Clear interval if running
-    if (rentalTimerInterval) {
-        clearInterval(rentalTimerInterval);
-        rentalTimerInterval = null;
+function getCourtRestrictionLabels(courtNum) {
+    const profile = getCourtProfile(courtNum);
+    const labels = [];
+
+    if (profile.levels.length > 0) {
+        labels.push(`🎯 ${profile.levels.map(level => LEVEL_LABELS[level]).join(', ')}`);
+    }
+    if (profile.singlesOnly) {
+        labels.push('👤 เดี่ยวเท่านั้น');
+    }
+    if (profile.openFrom || profile.openUntil) {
+        labels.push(`🕐 ${profile.openFrom || '--:--'}–${profile.openUntil || '--:--'}`);
     }
 
-    state.players = [];
-    state.matches = [];
-    state.currentMatches = [];
-    state.matchQueue = [];
-    state.rounds = [];
-    state.currentRound = 0;
-    state.settings = {
-        matchType: 'doubles',
-        pairingMode: 'random',
-        courtCount: 2,
-        multiCourt: false
-    };
-    state.rentalTimer = {
-        mode: 'duration',
-        duration: 120,
-        endTime: '18:00',
-        remainingSeconds: 7200,
-        isRunning: false,
-        alertsShown: { min15: false, min10: false, min5: false },
-        widgetState: 'closed'
-    };
+    return labels;
+}
 
-    // Clear localStorage completely
-    localStorage.removeItem('badmintonScheduler');
+function editCourtProfile(courtNum) {
+    const profile = getCourtProfile(courtNum);
 
-    // Re-save fresh state
-    saveToStorage();
+    document.getElementById('courtProfileNumber').value = courtNum;
+    document.getElementById('courtProfileName').value = profile.name;
+    document.querySelectorAll('.court-profile-level').forEach(input => {
+        input.checked = profile.levels.includes(input.value);
+    });
+    document.getElementById('courtProfileSinglesOnly').checked = profile.singlesOnly;
+    document.getElementById('courtProfileOpenFrom').value = profile.openFrom;
+    document.getElementById('courtProfileOpenUntil').value = profile.openUntil;
 
-    // Re-initialize UI
-    initializeUI();
-    renderAll();
+    document.getElementById('courtProfileModal').classList.add('show');
+}
 
-    // Reset rental timer display
-    if (typeof updateDurationInputs === 'function') {
-        updateDurationInputs();
-    }
-    if (typeof updateRentalTimerDisplay === 'function') {
-        updateRentalTimerDisplay();
-    }
-    if (typeof updateRentalTimerButtons === 'function') {
-        updateRentalTimerButtons();
-    }
+function saveCourtProfile() {
+    const courtNum = parseInt(document.getElementById('courtProfileNumber').value);
+    const name = document.getElementById('courtProfileName').value.trim();
 
-    // Close rental timer widget
-    if (typeof closeRentalTimer === 'function') {
-        closeRentalTimer();
-    }
+    state.settings.courtProfiles[courtNum] = {
+        name: name || `Court ${courtNum}`,
+        levels: Array.from(document.querySelectorAll('.court-profile-level:checked')).map(input => input.value),
+        singlesOnly: document.getElementById('courtProfileSinglesOnly').checked,
+        openFrom: document.getElementById('courtProfileOpenFrom').value,
+        openUntil: document.getElementById('courtProfileOpenUntil').value
+    };
 
-    showToast('ล้างข้อมูลเรียบร้อย', 'info');
+    closeModal('courtProfileModal');
+    const started = autoFillCourts();
+    saveToStorage();
+    renderAll();
+    showCompletedToast(`บันทึก ${escapeHtml(getCourtName(courtNum))} เรียบร้อย`, started);
 }
 
 // ============================================
-// Modal Functions
+// Match Control
 // ============================================
 
-function closeModal(id) {
-    document.getElementById(id).classList.remove('show');
-}
+function startNextMatch() {
+    if (state.matchQueue.length === 0) {
+        showToast('ไม่มีแมตช์ในคิว', 'info');
+        return;
+    }
 
-function showPlayerListModal() {
-    document.getElementById('playerListModal').classList.add('show');
-}
+    const availableCourts = getAvailableCourts();
 
-function showPlayerStats() {
-    const modal = document.getElementById('playerStatsModal');
-    const content = document.getElementById('playerStatsContent');
+    if (availableCourts.length === 0) {
+        showToast('คอร์ทเต็มหรือปิดอยู่ทั้งหมด', 'error');
+        return;
+    }
 
-    const sortedPlayers = [...state.players].sort((a, b) => b.matchCount - a.matchCount);
+    const matchesStarted = startQueuedMatches(availableCourts);
 
-    content.innerHTML = `
-        <table class="player-stats-table">
-            <thead>
-                <tr>
-                    <th>อันดับ</th>
-                    <th>ผู้เล่น</th>
-                    <th>ระดับ</th>
-                    <th>จำนวนแมตช์</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${sortedPlayers.map((player, index) => `
-                    <tr>
-                        <td>${index + 1}</td>
-                        <td>${escapeHtml(player.name)}</td>
-                        <td>${LEVEL_LABELS[player.level]}</td>
-                        <td>${player.matchCount}</td>
-                    </tr>
-                `).join('')}
-            </tbody>
-        </table>
-    `;
+    if (matchesStarted === 0) {
+        showToast('ไม่สามารถเริ่มแมตช์ได้ (ผู้เล่นกำลังแข่งอยู่ หรือไม่มีคอร์ทที่รับแมตช์นี้ได้)', 'error');
+        return;
+    }
 
-    modal.classList.add('show');
+    saveToStorage();
+    renderAll();
+    showToast(`เริ่ม ${matchesStarted} แมตช์`, 'success');
 }
 
-function showPairingInfo() {
-    document.getElementById('pairingInfoModal').classList.add('show');
-}
+/**
+ * Start queued matches, in queue order, on the given courts. Each match
+ * takes the most restricted compatible court; a match no free court will
+ * take stays queued without holding up the ones behind it.
+ */
+function startQueuedMatches(courts) {
+    const freeCourts = [...courts].sort((a, b) => getCourtRestrictiveness(b) - getCourtRestrictiveness(a));
+    let matchesStarted = 0;
 
-function showMultiCourtInfo() {
-    document.getElementById('multiCourtInfoModal').classList.add('show');
-}
+    for (const match of [...state.matchQueue]) {
+        if (freeCourts.length === 0) break;
 
-// ============================================
-// Score & Timer Functions
-// ============================================
+        const playersFree = [...match.team1, ...match.team2].every(playerId => {
+            const player = state.players.find(p => p.id === playerId);
+            return player && (!player.isPlaying || state.settings.multiCourt);
+        });
+        if (!playersFree) continue;
 
-let timerInterval = null;
+        const courtIndex = freeCourts.findIndex(courtNum => isMatchCompatibleWithCourt(match, courtNum));
+        if (courtIndex === -1) continue;
 
-function startTimers() {
-    if (timerInterval) clearInterval(timerInterval);
+        state.matchQueue.splice(state.matchQueue.indexOf(match), 1);
+        startMatchOnCourt(match, freeCourts.splice(courtIndex, 1)[0]);
+        matchesStarted++;
+    }
 
-    timerInterval = setInterval(() => {
-        state.currentMatches.forEach(match => {
-            const timerEl = document.getElementById(`timer-${match.id}`);
-            if (timerEl && match.startedAt) {
-                const elapsed = Math.floor((Date.now() - new Date(match.startedAt).getTime()) / 1000);
-                const minutes = Math.floor(elapsed / 60);
-                const seconds = elapsed % 60;
-                timerEl.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            }
-        });
-    }, 1000);
+    return matchesStarted;
 }
 
-function openScoreModal(matchId) {
-    const match = state.currentMatches.find(m => m.id === matchId) ||
-        state.matches.find(m => m.id === matchId);
-    if (!match) return;
+function startMatchOnCourt(match, courtNum) {
+    match.status = 'playing';
+    match.court = courtNum;
+    match.startedAt = new Date().toISOString();
 
-    const team1Names = match.team1.map(id => {
-        const p = state.players.find(pl => pl.id === id);
-        return p ? p.name : 'Unknown';
-    }).join(' & ');
+    state.currentMatches.push(match);
 
-    const team2Names = match.team2.map(id => {
-        const p = state.players.find(pl => pl.id === id);
-        return p ? p.name : 'Unknown';
-    }).join(' & ');
+    // Mark players as playing
+    [...match.team1, ...match.team2].forEach(playerId => {
+        const player = state.players.find(p => p.id === playerId);
+        if (player) {
+            player.isPlaying = true;
+        }
+    });
+}
 
-    document.getElementById('scoreTeam1Label').textContent = team1Names;
-    document.getElementById('scoreTeam2Label').textContent = team2Names;
-    document.getElementById('scoreMatchId').value = matchId;
+/**
+ * Winner stays on: the winning team keeps the court against the longest-
+ * waiting challengers on the bench, until they reach the win limit.
+ * The new match starts straight away on the same court, ahead of anything
+ * in state.matchQueue; queued players aren't picked as challengers.
+ * Tournament and ladder matches free the court as usual.
+ * Called after the finished match's players were released. Returns the
+ * new match, or null when the court is freed as usual.
+ */
+function keepWinnersOn(match) {
+    if (!state.settings.winnerStaysOn || match.tournamentId || match.ladderChallenge) return null;
+    if (match.winner !== 'team1' && match.winner !== 'team2') return null;
+
+    // Winners always carry on as team1, so team1 holds the streak
+    const streak = match.winner === 'team1' ? (match.streak || 0) + 1 : 1;
+    const winners = match[match.winner];
+    const winnerNames = winners.map(id => state.players.find(p => p.id === id)?.name).filter(Boolean).join(' & ');
+
+    const maxStreak = state.settings.maxWinStreak;
+    if (maxStreak > 0 && streak >= maxStreak) {
+        showToast(`${escapeHtml(winnerNames)} ชนะติด ${streak} เกม ครบกำหนดแล้ว ลงพักก่อน`, 'info');
+        return null;
+    }
 
-    // Reset score inputs
-    ['score1Set1', 'score1Set2', 'score1Set3', 'score2Set1', 'score2Set2', 'score2Set3'].forEach(id => {
-        document.getElementById(id).value = match.scores?.[id] || 0;
-    });
+    if (!isCourtOpen(match.court)) return null;
+
+    const queuedIds = new Set(state.matchQueue.flatMap(m => [...m.team1, ...m.team2]));
+    const bench = state.players.filter(p =>
+        !p.isPlaying && !p.isResting && !queuedIds.has(p.id) && !winners.includes(p.id) &&
+        isLevelAllowedOnCourt(match.court, p.level));
+    // Losers join the back of the line, behind anyone who was already waiting
+    const losers = match[match.winner === 'team1' ? 'team2' : 'team1'];
+    const waits = new Map(bench.map(p => [p.id, losers.includes(p.id) ? -1 : getWaitSeconds(p)]));
+    const partners = getBenchPartners(bench);
+    const challengers = takeUnits(groupFixedPairs(bench, waits, partners), winners.length, partners);
+    if (challengers.length < winners.length) return null;
+
+    const round = getContinuousRound();
+    const nextMatch = {
+        id: generateId(),
+        type: match.type,
+        team1: [...winners],
+        team2: challengers.map(p => p.id),
+        status: 'pending',
+        court: null,
+        streak: streak,
+        roundId: round.id,
+        roundNumber: round.roundNumber,
+        createdAt: new Date().toISOString()
+    };
 
-    document.getElementById('scoreModal').classList.add('show');
+    state.matches.push(nextMatch);
+    round.matches.push(nextMatch.id);
+    startMatchOnCourt(nextMatch, match.court);
+    return nextMatch;
 }
 
-function saveScore() {
-    const matchId = document.getElementById('scoreMatchId').value;
-    const matchIndex = state.currentMatches.findIndex(m => m.id === matchId);
+/**
+ * Continuous mode: keep every free court busy. Queued matches go first;
+ * any court still free gets a fresh match built from the bench.
+ */
+function autoFillCourts() {
+    if (!state.settings.continuousMode) return 0;
+
+    let matchesStarted = startQueuedMatches(getAvailableCourts());
+
+    for (const courtNum of getAvailableCourts()) {
+        // Players already waiting in the queue keep their queued match
+        const queuedIds = new Set(state.matchQueue.flatMap(m => [...m.team1, ...m.team2]));
+        const singlesOnly = getCourtProfile(courtNum).singlesOnly;
+        if (singlesOnly && state.settings.matchType === 'doubles') continue;
+        const bench = state.players.filter(p =>
+            !p.isPlaying && !queuedIds.has(p.id) && isLevelAllowedOnCourt(courtNum, p.level));
+
+        // A singles-only court in a mixed session only takes players who opted into singles
+        const [match] = singlesOnly && state.settings.matchType === 'both'
+            ? generateMatches(bench.filter(p => p.wantsSingles), 1, 'singles')
+            : generateSessionMatches(bench, 1);
+        showConstraintWarnings();
+        if (!match) continue;
+
+        const round = getContinuousRound();
+        match.roundId = round.id;
+        match.roundNumber = round.roundNumber;
+        state.matches.push(match);
+        round.matches.push(match.id);
+        state.matchQueue.push(match);
 
-    if (matchIndex === -1) {
-        showToast('ไม่พบแมตช์นี้', 'error');
-        return;
+        matchesStarted += startQueuedMatches([courtNum]);
     }
 
-    const scores = {
-        score1Set1: parseInt(document.getElementById('score1Set1').value) || 0,
-        score1Set2: parseInt(document.getElementById('score1Set2').value) || 0,
-        score1Set3: parseInt(document.getElementById('score1Set3').value) || 0,
-        score2Set1: parseInt(document.getElementById('score2Set1').value) || 0,
-        score2Set2: parseInt(document.getElementById('score2Set2').value) || 0,
-        score2Set3: parseInt(document.getElementById('score2Set3').value) || 0
+    return matchesStarted;
+}
+
+// Matches created by continuous mode or winner stays on share one open-ended round
+function getContinuousRound() {
+    const lastRound = state.rounds[state.rounds.length - 1];
+    if (lastRound && lastRound.isContinuous) return lastRound;
+
+    state.currentRound++;
+
+    const round = {
+        id: generateId(),
+        roundNumber: state.currentRound,
+        matches: [],
+        isContinuous: true,
+        createdAt: new Date().toISOString()
     };
 
-    // Calculate winner
-    let team1Wins = 0;
-    let team2Wins = 0;
+    state.rounds.push(round);
+    return round;
+}
 
-    if (scores.score1Set1 > scores.score2Set1) team1Wins++;
-    else if (scores.score2Set1 > scores.score1Set1) team2Wins++;
+// Free courts that are open right now
+function getAvailableCourts() {
+    const usedCourts = new Set(state.currentMatches.map(m => m.court));
+    const available = [];
 
-    if (scores.score1Set2 > scores.score2Set2) team1Wins++;
-    else if (scores.score2Set2 > scores.score1Set2) team2Wins++;
+    for (let i = 1; i <= state.settings.courtCount; i++) {
+        if (!usedCourts.has(i) && isCourtOpen(i)) {
+            available.push(i);
+        }
+    }
 
-    if (scores.score1Set3 > scores.score2Set3) team1Wins++;
-    else if (scores.score2Set3 > scores.score1Set3) team2Wins++;
+    return available;
+}
 
-    const match = state.currentMatches.splice(matchIndex, 1)[0];
-    match.status = 'completed';
-    match.completedAt = new Date().toISOString();
-    match.scores = scores;
-    match.winner = team1Wins > team2Wins ? 'team1' : (team2Wins > team1Wins ? 'team2' : 'draw');
+// Time between a completed match starting and finishing; unstarted matches count none
+function getMatchCourtSeconds(match) {
+    if (!match.startedAt || !match.completedAt) return 0;
+    return Math.max(0, Math.floor((new Date(match.completedAt) - new Date(match.startedAt)) / 1000));
+}
+
+// Read from the match log, like the player statistics, so corrections and imports carry through.
+// `since` limits it to matches started in the current session
+function getPlayerCourtSeconds(playerId, since) {
+    return state.matches
+        .filter(m => m.status === 'completed' && [...m.team1, ...m.team2].includes(playerId) &&
+            (!since || m.startedAt >= since))
+        .reduce((sum, m) => sum + getMatchCourtSeconds(m), 0);
+}
 
-    // Update player stats
+// Send a finished match's players back to the bench
+function releaseMatchPlayers(match) {
     [...match.team1, ...match.team2].forEach(playerId => {
         const player = state.players.find(p => p.id === playerId);
         if (player) {
             player.isPlaying = false;
-
-            // Initialize win/loss stats if not exist
-            if (player.wins === undefined) player.wins = 0;
-            if (player.losses === undefined) player.losses = 0;
-
-            if (match.winner === 'team1' && match.team1.includes(playerId)) {
-                player.wins++;
-            } else if (match.winner === 'team2' && match.team2.includes(playerId)) {
-                player.wins++;
-            } else if (match.winner !== 'draw') {
-                player.losses++;
-            }
+            player.lastCompletedAt = match.completedAt;
         }
     });
+}
 
-    // Update the match in the main matches array
-    const mainMatchIndex = state.matches.findIndex(m => m.id === matchId);
-    if (mainMatchIndex !== -1) {
-        state.matches[mainMatchIndex] = match;
+function completeCurrentMatches() {
+    if (state.currentMatches.length === 0) {
+        showToast('ไม่มีแมตช์ที่กำลังแข่งอยู่', 'info');
+        return;
     }
 
-    closeModal('scoreModal');
+    state.currentMatches.forEach(match => {
+        match.status = 'completed';
+        match.completedAt = new Date().toISOString();
+
+        // Mark players as not playing
+        releaseMatchPlayers(match);
+    });
+
+    state.currentMatches = [];
+    const started = autoFillCourts();
     saveToStorage();
     renderAll();
-    showToast('บันทึกคะแนนเรียบร้อย! 🏆', 'success');
+    showCompletedToast('จบแมตช์เรียบร้อย', started);
 }
 
-// ============================================
-// Player Rest Mode
-// ============================================
+function showCompletedToast(message, started) {
+    showToast(started > 0 ? `${message} - เริ่มแมตช์ใหม่ ${started} แมตช์` : message, 'success');
+}
 
-function togglePlayerRest(id) {
-    const player = state.players.find(p => p.id === id);
-    if (!player) return;
+function completeMatch(matchId) {
+    const matchIndex = state.currentMatches.findIndex(m => m.id === matchId);
+    if (matchIndex === -1) return;
 
-    if (player.isPlaying) {
-        showToast('ไม่สามารถพักผู้เล่นที่กำลังแข่งอยู่', 'error');
-        return;
-    }
+    const match = state.currentMatches.splice(matchIndex, 1)[0];
+    match.status = 'completed';
+    match.completedAt = new Date().toISOString();
 
-    player.isResting = !player.isResting;
+    releaseMatchPlayers(match);
+
+    const started = autoFillCourts();
     saveToStorage();
-    renderPlayers();
-    updateStats();
+    renderAll();
+    showCompletedToast('จบแมตช์เรียบร้อย', started);
 
-    if (player.isResting) {
-        showToast(`${player.name} พักผ่อน 😴`, 'info');
-    } else {
-        showToast(`${player.name} พร้อมแข่ง! 💪`, 'success');
+    if (needsTournamentResult(match)) {
+        showToast('แมตช์ทัวร์นาเมนต์นี้ต้องบันทึกคะแนนเพื่อไปรอบต่อไป', 'info');
+    } else if (match.ladderChallenge) {
+        showToast('จบโดยไม่มีคะแนน อันดับ Ladder จะไม่เปลี่ยน', 'info');
     }
 }
 
 // ============================================
-// Enhanced Rendering with Timer & Rest
+// Rendering Functions
 // ============================================
 
-// Override renderPlayers to include rest button
-const originalRenderPlayers = renderPlayers;
-renderPlayers = function () {
+function renderAll() {
+    scheduleCourtWindowCheck();
+    renderPlayers();
+    renderCourts();
+    renderQueue();
+    renderSchedule();
+    updateStats();
+
+    if (document.getElementById('tournamentModal')?.classList.contains('show')) {
+        renderTournament();
+    }
+    if (document.getElementById('ladderModal')?.classList.contains('show')) {
+        renderLadder();
+    }
+}
+
+function renderPlayers() {
     const container = document.getElementById('playerList');
     const countEl = document.getElementById('playerCount');
+    const countModalEl = document.getElementById('playerCountModal');
     const statsEl = document.getElementById('playerStats');
+    const statsModalEl = document.getElementById('playerStatsModal');
 
-    countEl.textContent = state.players.length;
+    // Update counts in both places
+    if (countEl) countEl.textContent = state.players.length;
+    if (countModalEl) countModalEl.textContent = state.players.length;
 
     // Calculate level stats
     const levelCounts = { beginner: 0, intermediate: 0, advanced: 0, pro: 0 };
     state.players.forEach(p => levelCounts[p.level]++);
 
-    statsEl.innerHTML = Object.entries(levelCounts)
+    const statsHtml = Object.entries(levelCounts)
         .filter(([_, count]) => count > 0)
         .map(([level, count]) => `
             <span class="stat-badge" style="border-left: 3px solid var(--level-${level})">${count}</span>
         `).join('');
 
+    if (statsEl) statsEl.innerHTML = statsHtml;
+    if (statsModalEl) statsModalEl.innerHTML = statsHtml;
+
     if (state.players.length === 0) {
         container.innerHTML = '<div class="empty-state">ยังไม่มีผู้เล่น</div>';
         return;
     }
 
-    // Sort: playing first, then by level and name
+    // Sort by level and name
     const sortedPlayers = [...state.players].sort((a, b) => {
-        // Playing players first
-        if (a.isPlaying !== b.isPlaying) return a.isPlaying ? -1 : 1;
-        // Resting players last
-        if (a.isResting !== b.isResting) return a.isResting ? 1 : -1;
-        // Then by level
         const levelDiff = LEVEL_WEIGHTS[b.level] - LEVEL_WEIGHTS[a.level];
         if (levelDiff !== 0) return levelDiff;
         return a.name.localeCompare(b.name);
     });
 
+    const stats = recomputePlayerStats();
+
     container.innerHTML = sortedPlayers.map(player => `
-        <div class="player-card ${player.isPlaying ? 'playing' : ''} ${player.isResting ? 'resting' : ''}">
+        <div class="player-card ${player.isPlaying ? 'playing' : ''}">
             <div class="player-info">
                 <div class="player-avatar" style="background: var(--level-${player.level})">${player.name.charAt(0).toUpperCase()}</div>
                 <div class="player-details">
-                    <span class="player-name">${escapeHtml(player.name)} ${player.isResting ? '😴' : ''}</span>
+                    <span class="player-name">${escapeHtml(player.name)}</span>
                     <span class="player-level ${player.level}">${LEVEL_LABELS[player.level]}</span>
                 </div>
             </div>
             <div class="player-actions">
-                <span class="player-match-count" title="ชนะ/แพ้">${player.wins || 0}W ${player.losses || 0}L</span>
-                <span class="player-match-count" title="จำนวนแมตช์">${player.matchCount} 🎮</span>
-                <button class="player-action-btn rest ${player.isResting ? 'resting' : ''}" 
-                        onclick="togglePlayerRest('${player.id}')" 
-                        title="${player.isResting ? 'กลับมาแข่ง' : 'พักผ่อน'}">
-                    ${player.isResting ? '💪' : '😴'}
-                </button>
+                <span class="player-match-count" title="จำนวนแมตช์">${stats.get(player.id).played} 🎮</span>
                 <button class="player-action-btn" onclick="editPlayer('${player.id}')" title="แก้ไข">✏️</button>
                 <button class="player-action-btn delete" onclick="removePlayer('${player.id}')" title="ลบ">🗑️</button>
             </div>
         </div>
     `).join('');
-};
+}
 
-// Override renderCourts to include timer and score button
-const originalRenderCourts = renderCourts;
-renderCourts = function () {
+function renderCourts() {
     const container = document.getElementById('courtsGrid');
     const courts = [];
 
@@ -1231,24 +1847,15 @@ renderCourts = function () {
 
     container.innerHTML = courts.map(court => {
         if (court.match) {
-            const team1Names = court.match.team1.map(id => {
+            const team1Players = court.match.team1.map(id => {
                 const p = state.players.find(pl => pl.id === id);
-                return p ? escapeHtml(p.name) : 'Unknown';
+                return p ? { name: escapeHtml(p.name), level: p.level } : { name: 'Unknown', level: 'beginner' };
             });
-            const team2Names = court.match.team2.map(id => {
+            const team2Players = court.match.team2.map(id => {
                 const p = state.players.find(pl => pl.id === id);
-                return p ? escapeHtml(p.name) : 'Unknown';
+                return p ? { name: escapeHtml(p.name), level: p.level } : { name: 'Unknown', level: 'beginner' };
             });
 
-            // Calculate elapsed time
-            let timerDisplay = '00:00';
-            if (court.match.startedAt) {
-                const elapsed = Math.floor((Date.now() - new Date(court.match.startedAt).getTime()) / 1000);
-                const minutes = Math.floor(elapsed / 60);
-                const seconds = elapsed % 60;
-                timerDisplay = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            }
-
             return `
                 <div class="court-card playing">
                     <div class="court-header">
@@ -1259,29 +1866,20 @@ renderCourts = function () {
                         <div class="court-team">
                             <span class="court-team-label">ทีม A</span>
                             <div class="court-team-players">
-                                ${team1Names.map(name => `<span class="court-player">${name}</span>`).join('')}
+                                ${team1Players.map(p => `<span class="court-player level-${p.level}">${p.name}</span>`).join('')}
                             </div>
                         </div>
                         <div class="court-vs">VS</div>
                         <div class="court-team">
                             <span class="court-team-label">ทีม B</span>
                             <div class="court-team-players">
-                                ${team2Names.map(name => `<span class="court-player">${name}</span>`).join('')}
+                                ${team2Players.map(p => `<span class="court-player level-${p.level}">${p.name}</span>`).join('')}
                             </div>
                         </div>
                     </div>
-                    <div class="court-timer">
-                        <span class="timer-icon">⏱️</span>
-                        <span class="timer-value" id="timer-${court.match.id}">${timerDisplay}</span>
-                    </div>
-                    <div class="court-actions">
-                        <button class="btn btn-primary" onclick="openScoreModal('${court.match.id}')">
-                            🏆 บันทึกคะแนน
-                        </button>
-                        <button class="btn btn-outline" onclick="completeMatch('${court.match.id}')">
-                            ✅ จบเลย
-                        </button>
-                    </div>
+                    <button class="btn btn-outline" style="width: 100%; margin-top: 1rem;" onclick="completeMatch('${court.match.id}')">
+                        ✅ จบแมตช์นี้
+                    </button>
                 </div>
             `;
         } else {
@@ -1296,399 +1894,3171 @@ renderCourts = function () {
             `;
         }
     }).join('');
+}
 
-    // Start timers if there are matches playing
-    if (state.currentMatches.length > 0) {
-        startTimers();
-    } else if (timerInterval) {
-        clearInterval(timerInterval);
-        timerInterval = null;
+function renderQueue() {
+    const container = document.getElementById('queueList');
+
+    if (state.matchQueue.length === 0) {
+        container.innerHTML = '<div class="empty-state">ยังไม่มีคิว</div>';
+        return;
     }
-};
 
-// Override generateMatches to exclude resting players
-const originalGenerateMatches = generateMatches;
-generateMatches = function (availablePlayers) {
-    // Filter out resting players
-    const activePlayers = availablePlayers.filter(p => !p.isResting);
-    return originalGenerateMatches.call(this, activePlayers);
-};
+    container.innerHTML = state.matchQueue.map((match, index) => {
+        const team1Names = match.team1.map(id => {
+            const p = state.players.find(pl => pl.id === id);
+            return p ? escapeHtml(p.name) : 'Unknown';
+        }).join(' & ');
 
-// Override updateStats to show resting players
-const originalUpdateStats = updateStats;
-updateStats = function () {
-    document.getElementById('currentRound').textContent = state.currentRound;
-    document.getElementById('totalRounds').textContent = state.rounds.length;
+        const team2Names = match.team2.map(id => {
+            const p = state.players.find(pl => pl.id === id);
+            return p ? escapeHtml(p.name) : 'Unknown';
+        }).join(' & ');
 
-    const totalMatches = state.matches.length;
-    const completedMatches = state.matches.filter(m => m.status === 'completed').length;
-    const pendingMatches = state.matchQueue.length + state.currentMatches.length;
-    const restingPlayers = state.players.filter(p => p.isResting || (!p.isPlaying && !p.isResting)).length;
+        const strengthGap = Math.round(Math.abs(getTeamRating(match.team1) - getTeamRating(match.team2)));
 
-    document.getElementById('totalMatches').textContent = totalMatches;
-    document.getElementById('completedMatches').textContent = completedMatches;
-    document.getElementById('pendingMatches').textContent = pendingMatches;
-    document.getElementById('restingPlayers').textContent = state.players.filter(p => p.isResting).length;
-};
+        return `
+            <div class="queue-item">
+                <span class="queue-position">${index + 1}</span>
+                <div class="queue-match-info">
+                    <div class="queue-teams">${team1Names} <span style="color: var(--text-muted)">vs</span> ${team2Names}</div>
+                    <div class="queue-type">${match.type === 'doubles' ? 'คู่' : 'เดี่ยว'} | รอบที่ ${match.roundNumber} | ⚖️ ต่างกัน ${strengthGap} แต้ม</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
 
-// Enhanced showPlayerStats with win/loss
-const originalShowPlayerStats = showPlayerStats;
-showPlayerStats = function () {
-    const modal = document.getElementById('playerStatsModal');
-    const content = document.getElementById('playerStatsContent');
+function renderSchedule() {
+    const container = document.getElementById('scheduleList');
+    const filter = document.getElementById('scheduleFilter').value;
 
-    const sortedPlayers = [...state.players].sort((a, b) => (b.wins || 0) - (a.wins || 0));
+    renderBracketView();
 
-    const totalMatches = state.matches.filter(m => m.status === 'completed').length;
-    const totalPlayers = state.players.length;
-    const avgMatchesPerPlayer = totalPlayers > 0 ?
-        (state.players.reduce((sum, p) => sum + p.matchCount, 0) / totalPlayers).toFixed(1) : 0;
+    if (state.rounds.length === 0) {
+        container.innerHTML = '<div class="empty-state">ยังไม่มีตารางแข่ง</div>';
+        return;
+    }
 
-    content.innerHTML = `
-        <div class="player-stats-summary">
-            <div class="stat-box">
-                <div class="value">${totalMatches}</div>
-                <div class="label">แมตช์ที่เสร็จ</div>
-            </div>
-            <div class="stat-box">
-                <div class="value">${totalPlayers}</div>
-                <div class="label">ผู้เล่นทั้งหมด</div>
-            </div>
-            <div class="stat-box">
-                <div class="value">${avgMatchesPerPlayer}</div>
-                <div class="label">เฉลี่ย/คน</div>
-            </div>
-        </div>
-        <table class="player-stats-table">
-            <thead>
-                <tr>
-                    <th>#</th>
-                    <th>ผู้เล่น</th>
-                    <th>ระดับ</th>
-                    <th>แมตช์</th>
-                    <th>ชนะ</th>
-                    <th>แพ้</th>
-                    <th>%</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${sortedPlayers.map((player, index) => {
-        const wins = player.wins || 0;
-        const losses = player.losses || 0;
-        const total = wins + losses;
-        const winRate = total > 0 ? Math.round((wins / total) * 100) : 0;
+    container.innerHTML = state.rounds.map(round => {
+        const roundMatches = state.matches.filter(m => m.roundId === round.id);
+        const filteredMatches = roundMatches.filter(m => filter === 'all' || m.status === filter);
+
+        if (filteredMatches.length === 0) return '';
 
         return `
-                        <tr>
-                            <td>${index + 1}</td>
-                            <td>${escapeHtml(player.name)}</td>
-                            <td>${LEVEL_LABELS[player.level]}</td>
-                            <td>${player.matchCount}</td>
-                            <td class="win">${wins}</td>
-                            <td class="loss">${losses}</td>
-                            <td>${winRate}%</td>
-                        </tr>
-                    `;
-    }).join('')}
-            </tbody>
-        </table>
-    `;
+            <div class="schedule-round" onclick="toggleRound(this)">
+                <div class="schedule-round-header">
+                    <span class="schedule-round-title">
+                        📅 รอบที่ ${round.roundNumber}${round.isContinuous ? ' 🔁' : ''}${round.label ? ` · ${escapeHtml(round.label)}` : ''}
+                        <span style="color: var(--text-muted); font-weight: normal; font-size: 0.85rem;">
+                            (${roundMatches.filter(m => m.status === 'completed').length}/${roundMatches.length} แมตช์)
+                        </span>
+                    </span>
+                    <span class="schedule-round-toggle">▼</span>
+                </div>
+                <div class="schedule-round-matches">
+                    ${filteredMatches.map(match => {
+            const team1Names = match.team1.map(id => {
+                const p = state.players.find(pl => pl.id === id);
+                return p ? escapeHtml(p.name) : 'Unknown';
+            }).join(' & ');
 
-    modal.classList.add('show');
-};
+            const team2Names = match.team2.map(id => {
+                const p = state.players.find(pl => pl.id === id);
+                return p ? escapeHtml(p.name) : 'Unknown';
+            }).join(' & ');
 
-// ============================================
-// Utility Functions
-// ============================================
+            return `
+                            <div class="schedule-match">
+                                <span class="schedule-match-status ${match.status}"></span>
+                                <div class="schedule-match-teams">
+                                    <span class="schedule-match-team">${team1Names}</span>
+                                    <span class="schedule-match-team">${team2Names}</span>
+                                </div>
+                                ${match.status === 'completed' ? `
+                                    <span class="schedule-match-score" ${match.edits ? `title="ผลเดิม: ${match.edits.map(edit => getSetResults(edit.scores).map(set => set.join('-')).join(', ')).join(' → ')}"` : ''}>
+                                        ${getSetResults(match.scores).map(set => set.join('-')).join(', ') || 'ไม่มีคะแนน'}${match.edits ? ' ✏️' : ''}
+                                    </span>
+                                ` : ''}
+                                ${match.court ? `<span class="schedule-match-court">${escapeHtml(getCourtName(match.court))}</span>` : ''}
+                                ${match.status === 'completed' ? `
+                                    <button class="player-action-btn" onclick="event.stopPropagation(); openScoreModal('${match.id}')"
+                                        title="${match.scores ? 'แก้ไขผล' : 'บันทึกคะแนน'}">✏️</button>
+                                ` : ''}
+                            </div>
+                        `;
+        }).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
 
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function toggleRound(element) {
+    element.classList.toggle('collapsed');
 }
 
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+function filterSchedule(value) {
+    renderSchedule();
 }
 
-function escapeHtml(text) {
+function updateStats() {
+    document.getElementById('currentRound').textContent = state.currentRound;
+    document.getElementById('totalRounds').textContent = state.rounds.length;
+
+    const totalMatches = state.matches.length;
+    const completedMatches = state.matches.filter(m => m.status === 'completed').length;
+    const pendingMatches = state.matchQueue.length + state.currentMatches.length;
+    const restingPlayers = state.players.filter(p => !p.isPlaying).length;
+
+    document.getElementById('totalMatches').textContent = totalMatches;
+    document.getElementById('completedMatches').textContent = completedMatches;
+    document.getElementById('pendingMatches').textContent = pendingMatches;
+    document.getElementById('restingPlayers').textContent = restingPlayers;
+}
+
+// ============================================
+// Data Management
+// ============================================
+
+function exportData() {
+    const data = JSON.stringify(state, null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `badminton-schedule-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    showToast('ส่งออกข้อมูลเรียบร้อย', 'success');
+}
+
+function importData() {
+    document.getElementById('importModal').classList.add('show');
+}
+
+function doImport() {
+    const textarea = document.getElementById('importData');
+    const data = textarea.value.trim();
+
+    if (!data) {
+        showToast('กรุณาใส่ข้อมูล', 'error');
+        return;
+    }
+
+    try {
+        const parsed = JSON.parse(data);
+
+        if (!parsed.players || !Array.isArray(parsed.players)) {
+            throw new Error('Invalid data format');
+        }
+
+        Object.assign(state, parsed);
+        state.settings = { ...getDefaultSettings(), ...state.settings };
+        linkMatchCopies();
+        saveToStorage();
+        closeModal('importModal');
+        textarea.value = '';
+
+        initializeUI();
+        renderAll();
+        showToast('นำเข้าข้อมูลเรียบร้อย', 'success');
+    } catch (e) {
+        showToast('รูปแบบข้อมูลไม่ถูกต้อง', 'error');
+    }
+}
+
+function resetAll() {
+    if (!confirm('ต้องการล้างข้อมูลทั้งหมด? กด Ctrl+Z ย้อนกลับได้จนกว่าจะรีโหลดหน้า (ตัวจับเวลาเช่าคอร์ทจะไม่กลับมา)')) {
+        return;
+    }
+
+    // Clear interval if running
+    if (rentalTimerInterval) {
+        clearInterval(rentalTimerInterval);
+        rentalTimerInterval = null;
+    }
+
+    state.players = [];
+    state.matches = [];
+    state.currentMatches = [];
+    state.matchQueue = [];
+    state.rounds = [];
+    state.tournament = null;
+    state.ladder = getDefaultLadder();
+    state.currentRound = 0;
+    state.settings = getDefaultSettings();
+    state.rentalTimer = {
+        mode: 'duration',
+        duration: 120,
+        endTime: '18:00',
+        remainingSeconds: 7200,
+        isRunning: false,
+        alertsShown: { min15: false, min10: false, min5: false },
+        widgetState: 'closed'
+    };
+
+    // Clear localStorage completely
+    localStorage.removeItem('badmintonScheduler');
+
+    // Re-save fresh state
+    saveToStorage();
+
+    // Re-initialize UI
+    initializeUI();
+    renderAll();
+
+    // Reset rental timer display
+    if (typeof updateDurationInputs === 'function') {
+        updateDurationInputs();
+    }
+    if (typeof updateRentalTimerDisplay === 'function') {
+        updateRentalTimerDisplay();
+    }
+    if (typeof updateRentalTimerButtons === 'function') {
+        updateRentalTimerButtons();
+    }
+
+    // Close rental timer widget
+    if (typeof closeRentalTimer === 'function') {
+        closeRentalTimer();
+    }
+
+    showToast('ล้างข้อมูลเรียบร้อย', 'info');
+}
+
+// ============================================
+// Modal Functions
+// ============================================
+
+function closeModal(id) {
+    document.getElementById(id).classList.remove('show');
+}
+
+function showPlayerListModal() {
+    document.getElementById('playerListModal').classList.add('show');
+}
+
+function showPlayerStats() {
+    const modal = document.getElementById('playerStatsModal');
+    const content = document.getElementById('playerStatsContent');
+
+    const stats = recomputePlayerStats();
+    const sortedPlayers = [...state.players].sort((a, b) => stats.get(b.id).played - stats.get(a.id).played);
+
+    content.innerHTML = `
+        <table class="player-stats-table">
+            <thead>
+                <tr>
+                    <th>อันดับ</th>
+                    <th>ผู้เล่น</th>
+                    <th>ระดับ</th>
+                    <th>จำนวนแมตช์</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sortedPlayers.map((player, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td>${escapeHtml(player.name)}</td>
+                        <td>${LEVEL_LABELS[player.level]}</td>
+                        <td>${stats.get(player.id).played}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    modal.classList.add('show');
+}
+
+function showPairingInfo() {
+    document.getElementById('pairingInfoModal').classList.add('show');
+}
+
+function showMultiCourtInfo() {
+    document.getElementById('multiCourtInfoModal').classList.add('show');
+}
+
+// ============================================
+// Score & Timer Functions
+// ============================================
+
+let timerInterval = null;
+
+function startTimers() {
+    if (timerInterval) clearInterval(timerInterval);
+
+    timerInterval = setInterval(() => {
+        state.currentMatches.forEach(match => {
+            const timerEl = document.getElementById(`timer-${match.id}`);
+            if (timerEl && match.startedAt) {
+                const elapsed = Math.floor((Date.now() - new Date(match.startedAt).getTime()) / 1000);
+                const minutes = Math.floor(elapsed / 60);
+                const seconds = elapsed % 60;
+                timerEl.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+            }
+        });
+    }, 1000);
+}
+
+function openScoreModal(matchId) {
+    const match = state.currentMatches.find(m => m.id === matchId) ||
+        state.matches.find(m => m.id === matchId);
+    if (!match) return;
+
+    const team1Names = match.team1.map(id => {
+        const p = state.players.find(pl => pl.id === id);
+        return p ? p.name : 'Unknown';
+    }).join(' & ');
+
+    const team2Names = match.team2.map(id => {
+        const p = state.players.find(pl => pl.id === id);
+        return p ? p.name : 'Unknown';
+    }).join(' & ');
+
+    document.getElementById('scoreTeam1Label').textContent = team1Names;
+    document.getElementById('scoreTeam2Label').textContent = team2Names;
+    document.getElementById('scoreMatchId').value = matchId;
+
+    const handicap = getScoreHandicap(match);
+
+    document.getElementById('scoreFormat').value = match.scoringFormat || state.settings.scoringFormat;
+    renderScoreInputs(match.scores || {}, handicap);
+
+    const handicapNote = document.getElementById('scoreHandicapNote');
+    handicapNote.textContent = handicap ?
+        `⚖️ แต้มต่อ: ${handicap.team === 'team1' ? team1Names : team2Names} เริ่มเซตละ ${handicap.points} แต้ม` : '';
+    handicapNote.style.display = handicap ? '' : 'none';
+
+    document.getElementById('scoreModal').classList.add('show');
+}
+
+// A match already scored or being scored live keeps its handicap; otherwise it's
+// worked out from current ratings and only stored once the result is saved
+function getScoreHandicap(match) {
+    return match.scores || match.live ? match.handicap || null : getHandicap(match);
+}
+
+function saveScore() {
+    const matchId = document.getElementById('scoreMatchId').value;
+    const matchIndex = state.currentMatches.findIndex(m => m.id === matchId);
+    const completedMatch = matchIndex === -1 ?
+        state.matches.find(m => m.id === matchId && m.status === 'completed') : null;
+
+    if (matchIndex === -1 && !completedMatch) {
+        showToast('ไม่พบแมตช์นี้', 'error');
+        return;
+    }
+
+    const match = completedMatch || state.currentMatches[matchIndex];
+    const scores = readScoreInputs();
+    const formatKey = document.getElementById('scoreFormat').value;
+    const handicap = getScoreHandicap(match);
+
+    // The handicapped score decides the match; the raw one is kept for stats
+    const { handicapped, raw } = handicap ? applyHandicap(scores, handicap) : { handicapped: scores, raw: null };
+
+    const error = validateScores(handicapped, SCORING_FORMATS[formatKey]);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    // Checked before anything is saved, so the match stays on court to be re-scored
+    if ((match.bracketNodeId || match.ladderChallenge) && getScoresWinner(handicapped) === 'draw') {
+        showToast(match.bracketNodeId ? 'แมตช์แพ้คัดออกต้องมีผู้ชนะ' : 'แมตช์ท้าชิงอันดับต้องมีผู้ชนะ', 'error');
+        return;
+    }
+
+    if (completedMatch) {
+        correctMatchResult(match, handicapped, raw, formatKey, handicap);
+        return;
+    }
+
+    state.currentMatches.splice(matchIndex, 1);
+    match.status = 'completed';
+    match.completedAt = new Date().toISOString();
+    delete match.live; // Rally-by-rally state is only needed while on court
+
+    setMatchResult(match, handicapped, raw, formatKey, handicap);
+
+    updateRatings(match);
+
+    releaseMatchPlayers(match);
+
+    // Update the match in the main matches array
+    const mainMatchIndex = state.matches.findIndex(m => m.id === matchId);
+    if (mainMatchIndex !== -1) {
+        state.matches[mainMatchIndex] = match;
+    }
+
+    onTournamentMatchScored(match);
+    onLadderMatchScored(match);
+    const stayed = keepWinnersOn(match);
+
+    closeModal('scoreModal');
+    const started = autoFillCourts();
+    saveToStorage();
+    renderAll();
+    showCompletedToast(stayed ? `บันทึกคะแนนเรียบร้อย! 👑 ผู้ชนะอยู่ต่อ (ชนะติด ${stayed.streak})` : 'บันทึกคะแนนเรียบร้อย! 🏆', started);
+}
+
+function setMatchResult(match, scores, rawScores, formatKey, handicap) {
+    match.scoringFormat = formatKey;
+    match.handicap = handicap;
+    match.scores = scores;
+    if (rawScores) {
+        match.rawScores = rawScores;
+        match.rawWinner = getScoresWinner(rawScores);
+    } else {
+        delete match.rawScores;
+        delete match.rawWinner;
+    }
+    match.winner = getScoresWinner(match.scores);
+}
+
+// Whether a bracket node was settled or the ladder reordered by this match's result
+function isResultCarriedForward(match) {
+    if (match.bracketNodeId) {
+        const tournament = state.tournament;
+        if (!tournament || match.tournamentId !== tournament.id) return false;
+        return Boolean(getBracketNodes(tournament).find(n => n.id === match.bracketNodeId)?.winnerId);
+    }
+    if (match.ladderChallenge) {
+        return state.players.some(p => (p.ladderHistory || []).some(move => move.matchId === match.id));
+    }
+    return false;
+}
+
+/**
+ * Enter or fix the result of a match that has already left the court.
+ * The old result is reversed out of ratings and kept in match.edits;
+ * player statistics follow from the match log on their own. A first result still moves the tournament or ladder on,
+ * as does a bracket or ladder result that didn't (a draw, or a lost challenge);
+ * once it has, the winner can't change.
+ */
+function correctMatchResult(match, scores, rawScores, formatKey, handicap) {
+    const hadResult = Boolean(match.winner);
+    const carriedForward = hadResult && isResultCarriedForward(match);
+
+    if (carriedForward && getScoresWinner(scores) !== match.winner) {
+        showToast('ผลแมตช์นี้ถูกนำไปใช้ต่อแล้ว แก้ได้เฉพาะคะแนนโดยผู้ชนะต้องเป็นฝ่ายเดิม', 'error');
+        return;
+    }
+
+    if (hadResult) {
+        match.edits = match.edits || [];
+        match.edits.push({
+            editedAt: new Date().toISOString(),
+            scoringFormat: match.scoringFormat,
+            scores: match.scores,
+            rawScores: match.rawScores,
+            winner: match.winner
+        });
+        revertRatings(match);
+    }
+
+    setMatchResult(match, scores, rawScores, formatKey, handicap);
+    updateRatings(match);
+
+    if (!hadResult || ((match.bracketNodeId || match.ladderChallenge) && !carriedForward)) {
+        onTournamentMatchScored(match);
+        onLadderMatchScored(match);
+    }
+
+    closeModal('scoreModal');
+    saveToStorage();
+    renderAll();
+    showToast(hadResult ? 'แก้ไขผลแมตช์เรียบร้อย ✏️' : 'บันทึกคะแนนเรียบร้อย! 🏆', 'success');
+}
+
+// ============================================
+// Scoring Formats
+// ============================================
+
+function getScoringFormat(match) {
+    return SCORING_FORMATS[match.scoringFormat || state.settings.scoringFormat] || SCORING_FORMATS.games21;
+}
+
+function renderScoringFormatOptions() {
+    return Object.entries(SCORING_FORMATS)
+        .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+        .join('');
+}
+
+// One input per game of the chosen format; the handicapped side starts each game on its bonus
+function renderScoreInputs(values, handicap) {
+    const format = SCORING_FORMATS[document.getElementById('scoreFormat').value];
+    const games = Array.from({ length: format.games }, (_, i) => i + 1);
+
+    [1, 2].forEach(side => {
+        const startsWithBonus = handicap && handicap.team === `team${side}`;
+        document.getElementById(`scoreInputs${side}`).innerHTML = games.map(n => `
+            <input type="number" id="score${side}Set${n}" min="0" ${format.maxPoints ? `max="${format.maxPoints}"` : ''}
+                value="${values[`score${side}Set${n}`] || (startsWithBonus ? handicap.points : 0)}">
+        `).join('');
+    });
+
+    document.getElementById('scoreSetLabels').innerHTML = games.map(n => `<span>เกม ${n}</span>`).join('');
+}
+
+function readScoreInputs() {
+    const scores = {};
+    document.querySelectorAll('#scoreInputs1 input, #scoreInputs2 input').forEach(input => {
+        scores[input.id] = parseInt(input.value) || 0;
+    });
+    return scores;
+}
+
+// Switching format in the score modal keeps whatever was already typed in
+function changeScoreFormat() {
+    const matchId = document.getElementById('scoreMatchId').value;
+    const match = state.currentMatches.find(m => m.id === matchId) ||
+        state.matches.find(m => m.id === matchId);
+    renderScoreInputs(readScoreInputs(), match ? getScoreHandicap(match) : null);
+}
+
+/**
+ * Checks a result against the format's rules. Returns a message saying
+ * what is wrong, or null when the result could really have happened.
+ */
+function validateScores(scores, format) {
+    const games = [];
+    for (let n = 1; scores[`score1Set${n}`] !== undefined; n++) {
+        games.push([scores[`score1Set${n}`] || 0, scores[`score2Set${n}`] || 0]);
+    }
+
+    let lastPlayed = games.length - 1;
+    while (lastPlayed >= 0 && games[lastPlayed][0] === 0 && games[lastPlayed][1] === 0) lastPlayed--;
+    if (lastPlayed === -1) return 'กรุณากรอกคะแนนอย่างน้อย 1 เกม';
+
+    if (format.timed) {
+        return lastPlayed > 0 ? 'เกมจับเวลาเล่นได้เกมเดียว' : null;
+    }
+
+    const gamesToWin = Math.floor(format.games / 2) + 1;
+    const won = { team1: 0, team2: 0 };
+
+    for (let i = 0; i <= lastPlayed; i++) {
+        const [a, b] = games[i];
+        const high = Math.max(a, b);
+        const low = Math.min(a, b);
+
+        if (won.team1 === gamesToWin || won.team2 === gamesToWin) {
+            return `เกม ${i + 1}: การแข่งจบไปแล้วตั้งแต่เกม ${i}`;
+        }
+        if (a === 0 && b === 0) return `เกม ${i + 1}: ยังไม่ได้กรอกคะแนน`;
+        if (a === b) return `เกม ${i + 1}: ${a}-${b} เสมอไม่ได้`;
+
+        const isValidGame = high === format.points ? low <= format.points - 2 :
+            high > format.points && high <= format.maxPoints &&
+            (high - low === 2 || (high === format.maxPoints && low === format.maxPoints - 1));
+        if (!isValidGame) {
+            return `เกม ${i + 1}: ${a}-${b} เป็นไปไม่ได้ (เล่นถึง ${format.points} แต้ม ต้องนำ 2 แต้ม สูงสุด ${format.maxPoints})`;
+        }
+
+        won[a > b ? 'team1' : 'team2']++;
+    }
+
+    if (won.team1 < gamesToWin && won.team2 < gamesToWin) {
+        return `ยังไม่มีฝ่ายใดชนะ ${gamesToWin} เกม (${won.team1}-${won.team2})`;
+    }
+
+    return null;
+}
+
+// ============================================
+// Player Statistics
+// ============================================
+
+/**
+ * Statistics for every player, worked out from the completed matches in
+ * the log each time so they can't drift after imports, removals or
+ * corrected results. Returns a Map of player id -> stats. Wins and
+ * losses follow the official (handicapped) result; points and the raw
+ * record leave handicap points out.
+ */
+function recomputePlayerStats() {
+    const stats = new Map(state.players.map(p => [p.id, {
+        played: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        courtSeconds: 0,
+        rawWins: 0,
+        rawLosses: 0
+    }]));
+
+    state.matches.forEach(match => {
+        if (match.status !== 'completed') return;
+
+        const points = getMatchPoints(match.rawScores || match.scores);
+        const courtSeconds = getMatchCourtSeconds(match);
+        const rawWinner = match.rawWinner || match.winner;
+
+        ['team1', 'team2'].forEach(side => {
+            const other = side === 'team1' ? 'team2' : 'team1';
+
+            match[side].forEach(playerId => {
+                const entry = stats.get(playerId);
+                if (!entry) return;
+
+                entry.played++;
+                entry.courtSeconds += courtSeconds;
+                entry.pointsFor += points[side];
+                entry.pointsAgainst += points[other];
+
+                if (match.winner === side) entry.wins++;
+                else if (match.winner === other) entry.losses++;
+                else if (match.winner === 'draw') entry.draws++;
+
+                if (rawWinner === side) entry.rawWins++;
+                else if (rawWinner === other) entry.rawLosses++;
+            });
+        });
+    });
+
+    return stats;
+}
+
+// ============================================
+// Player Rating
+// ============================================
+
+function getPlayerRating(player) {
+    return player.rating ?? LEVEL_BASE_RATINGS[player.level];
+}
+
+function getTeamRating(team) {
+    const ratings = team.map(id => state.players.find(p => p.id === id))
+        .filter(Boolean)
+        .map(getPlayerRating);
+    return ratings.length > 0 ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : 0;
+}
+
+// Scores of the sets that were actually played, as [team1, team2] pairs
+function getSetResults(scores) {
+    const sets = [];
+    if (!scores) return sets;
+
+    for (let n = 1; scores[`score1Set${n}`] !== undefined; n++) {
+        const team1 = scores[`score1Set${n}`] || 0;
+        const team2 = scores[`score2Set${n}`] || 0;
+        if (team1 > 0 || team2 > 0) sets.push([team1, team2]);
+    }
+
+    return sets;
+}
+
+function getMatchPoints(scores) {
+    return getSetResults(scores).reduce((points, [team1, team2]) => ({
+        team1: points.team1 + team1,
+        team2: points.team2 + team2
+    }), { team1: 0, team2: 0 });
+}
+
+/**
+ * Elo-style update from a scored match. Each side is rated as the average of
+ * its players; every player moves by the team result, scaled by their own
+ * uncertainty (new players move faster) and by the point margin.
+ */
+function updateRatings(match) {
+    // Handicap points are a head start, not skill, so ratings use the raw result
+    const points = getMatchPoints(match.rawScores || match.scores);
+    const winner = match.rawWinner || match.winner;
+    if (points.team1 + points.team2 === 0) return;
+
+    const team1Rating = getTeamRating(match.team1);
+    const team2Rating = getTeamRating(match.team2);
+    const expected1 = 1 / (1 + Math.pow(10, (team2Rating - team1Rating) / 400));
+    const actual1 = winner === 'team1' ? 1 : (winner === 'team2' ? 0 : 0.5);
+    const marginFactor = 1 + Math.min(Math.abs(points.team1 - points.team2), 30) / 30;
+
+    match.ratingChanges = {};
+
+    [...match.team1, ...match.team2].forEach(playerId => {
+        const player = state.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        const isTeam1 = match.team1.includes(playerId);
+        const deviation = player.ratingDeviation || RATING_DEFAULT_DEVIATION;
+        const k = 16 + 32 * (deviation / RATING_DEFAULT_DEVIATION);
+        const change = Math.round(k * marginFactor * (isTeam1 ? actual1 - expected1 : expected1 - actual1));
+
+        player.rating = getPlayerRating(player) + change;
+        player.ratingDeviation = Math.max(RATING_MIN_DEVIATION, Math.round(deviation * RATING_DEVIATION_DECAY));
+        player.ratingHistory = player.ratingHistory || [];
+        player.ratingHistory.push({
+            matchId: match.id,
+            rating: player.rating,
+            change: change,
+            at: match.completedAt
+        });
+
+        match.ratingChanges[playerId] = change;
+    });
+}
+
+// Take back a match's rating changes before its result is corrected.
+// The rating deviation it used up stays used up
+function revertRatings(match) {
+    Object.entries(match.ratingChanges || {}).forEach(([playerId, change]) => {
+        const player = state.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        player.rating = getPlayerRating(player) - change;
+        player.ratingHistory = (player.ratingHistory || []).filter(entry => entry.matchId !== match.id);
+    });
+    delete match.ratingChanges;
+}
+
+function formatRating(player) {
+    return `${getPlayerRating(player)} ±${player.ratingDeviation || RATING_DEFAULT_DEVIATION}`;
+}
+
+// ============================================
+// Handicap Scoring
+// ============================================
+
+/**
+ * Bonus points the weaker side starts each set with: one per
+ * HANDICAP_RATING_PER_POINT of team rating gap, capped. Tournament and
+ * ladder matches are always played level.
+ */
+function getHandicap(match) {
+    if (!state.settings.handicap || match.tournamentId || match.ladderChallenge) return null;
+
+    const gap = getTeamRating(match.team1) - getTeamRating(match.team2);
+    const points = Math.min(HANDICAP_MAX_POINTS, Math.floor(Math.abs(gap) / HANDICAP_RATING_PER_POINT));
+    if (points === 0) return null;
+
+    return { team: gap > 0 ? 'team2' : 'team1', points };
+}
+
+// Winner by sets won: 'team1', 'team2' or 'draw'
+function getScoresWinner(scores) {
+    const sets = getSetResults(scores);
+    const team1Wins = sets.filter(([a, b]) => a > b).length;
+    const team2Wins = sets.filter(([a, b]) => b > a).length;
+    return team1Wins > team2Wins ? 'team1' : (team2Wins > team1Wins ? 'team2' : 'draw');
+}
+
+/**
+ * Split entered scores into handicapped and raw. A set still at its
+ * starting handicap (bonus vs 0) was never played and is cleared; played
+ * sets lose the bonus in the raw version.
+ */
+function applyHandicap(scores, handicap) {
+    const side = handicap.team === 'team1' ? 1 : 2;
+    const other = side === 1 ? 2 : 1;
+    const handicapped = { ...scores };
+    const raw = { ...scores };
+
+    for (let n = 1; scores[`score1Set${n}`] !== undefined; n++) {
+        const bonusKey = `score${side}Set${n}`;
+        const otherKey = `score${other}Set${n}`;
+
+        if (scores[bonusKey] <= handicap.points && scores[otherKey] === 0) {
+            handicapped[bonusKey] = raw[bonusKey] = 0;
+        } else {
+            raw[bonusKey] = Math.max(0, scores[bonusKey] - handicap.points);
+        }
+    }
+
+    return { handicapped, raw };
+}
+
+// ============================================
+// Live Scoring
+// ============================================
+
+function openLiveScore(matchId) {
+    const match = state.currentMatches.find(m => m.id === matchId);
+    if (!match) return;
+
+    if (!match.live) {
+        match.handicap = getHandicap(match);
+        match.scoringFormat = match.scoringFormat || state.settings.scoringFormat;
+        match.live = {
+            games: [], // Finished games as [team1, team2]
+            score: getLiveStartScore(match),
+            servingTeam: 'team1',
+            right: { team1: match.team1[0], team2: match.team2[0] }, // Player in each side's right service court
+            swapped: false, // Ends changed: team 2 is shown on the left
+            notice: null,
+            history: [] // Snapshots for undo
+        };
+        saveToStorage();
+    }
+
+    document.getElementById('liveScoreMatchId').value = matchId;
+    renderLiveScore();
+    document.getElementById('liveScoreModal').classList.add('show');
+}
+
+// Each game starts level, or with the handicapped side on its bonus
+function getLiveStartScore(match) {
+    const bonus = match.handicap ? match.handicap.points : 0;
+    return [match.handicap?.team === 'team1' ? bonus : 0, match.handicap?.team === 'team2' ? bonus : 0];
+}
+
+function getLiveMatch() {
+    const matchId = document.getElementById('liveScoreMatchId').value;
+    return state.currentMatches.find(m => m.id === matchId && m.live);
+}
+
+/**
+ * Who serves and receives next. The server stands in the right service
+ * court on an even score and the left on an odd one; the receiver is the
+ * opponent diagonally opposite, in the same court on their side.
+ */
+function getLiveServe(match) {
+    const live = match.live;
+    const receivingTeam = live.servingTeam === 'team1' ? 'team2' : 'team1';
+    const serverScore = live.score[live.servingTeam === 'team1' ? 0 : 1];
+    const court = serverScore % 2 === 0 ? 'right' : 'left';
+    const inCourt = team => {
+        const players = match[team];
+        if (players.length === 1 || court === 'right') return live.right[team];
+        return players.find(id => id !== live.right[team]);
+    };
+
+    return { court, serverId: inCourt(live.servingTeam), receiverId: inCourt(receivingTeam) };
+}
+
+function isLiveGameStart(match) {
+    const start = getLiveStartScore(match);
+    return match.live.score[0] === start[0] && match.live.score[1] === start[1];
+}
+
+function getLiveGamesWon(live) {
+    return {
+        team1: live.games.filter(([a, b]) => a > b).length,
+        team2: live.games.filter(([a, b]) => b > a).length
+    };
+}
+
+function awardRally(team) {
+    const match = getLiveMatch();
+    if (!match) return;
+
+    const live = match.live;
+    const { history, ...snapshot } = live;
+    history.push(JSON.parse(JSON.stringify(snapshot)));
+    live.notice = null;
+
+    const index = team === 'team1' ? 0 : 1;
+    live.score[index]++;
+
+    if (live.servingTeam === team) {
+        // Only the serving side switches service courts, and only when it scores
+        if (match[team].length === 2) {
+            live.right[team] = match[team].find(id => id !== live.right[team]);
+        }
+    } else {
+        live.servingTeam = team;
+    }
+
+    const format = getScoringFormat(match);
+    const points = live.score[index];
+    const opponentPoints = live.score[1 - index];
+    const gameWon = !format.timed &&
+        ((points >= format.points && points - opponentPoints >= 2) || points >= format.maxPoints);
+
+    if (gameWon) {
+        live.games.push([...live.score]);
+        const won = getLiveGamesWon(live);
+
+        if (won[team] > format.games / 2) {
+            finishLiveMatch(match);
+            return;
+        }
+
+        // Winner of a game serves first in the next; ends change between games
+        live.score = getLiveStartScore(match);
+        live.servingTeam = team;
+        live.swapped = !live.swapped;
+        live.notice = `🔄 จบเกม ${live.games.length} (${live.games[live.games.length - 1].join('-')}) เปลี่ยนแดน`;
+    } else if (points === format.interval && opponentPoints < format.interval) {
+        const isDecider = live.games.length === format.games - 1;
+        if (isDecider) live.swapped = !live.swapped;
+        live.notice = isDecider ? `⏸️ พักครึ่ง ${format.interval} แต้ม · 🔄 เปลี่ยนแดน` : `⏸️ พักครึ่ง ${format.interval} แต้ม`;
+    }
+
+    saveToStorage();
+    renderLiveScore();
+    renderCourts();
+}
+
+function undoRally() {
+    const match = getLiveMatch();
+    if (!match || match.live.history.length === 0) return;
+
+    const history = match.live.history;
+    match.live = { ...history.pop(), history };
+    match.live.notice = null;
+
+    saveToStorage();
+    renderLiveScore();
+    renderCourts();
+}
+
+// Before the first rally of a game the sides can pick who serves and stands where
+function setLiveServingTeam(team) {
+    const match = getLiveMatch();
+    if (!match || !isLiveGameStart(match)) return;
+
+    match.live.servingTeam = team;
+    saveToStorage();
+    renderLiveScore();
+}
+
+function swapLivePositions(team) {
+    const match = getLiveMatch();
+    if (!match || !isLiveGameStart(match) || match[team].length < 2) return;
+
+    match.live.right[team] = match[team].find(id => id !== match.live.right[team]);
+    saveToStorage();
+    renderLiveScore();
+}
+
+// A timed game ends when the clock runs out, not on points
+function endTimedGame() {
+    const match = getLiveMatch();
+    if (!match || !getScoringFormat(match).timed) return;
+
+    match.live.games.push([...match.live.score]);
+    finishLiveMatch(match);
+}
+
+// Hand the finished games to the regular score path
+function finishLiveMatch(match) {
+    const values = {};
+    match.live.games.forEach(([team1, team2], i) => {
+        values[`score1Set${i + 1}`] = team1;
+        values[`score2Set${i + 1}`] = team2;
+    });
+
+    closeModal('liveScoreModal');
+    document.getElementById('scoreMatchId').value = match.id;
+    document.getElementById('scoreFormat').value = match.scoringFormat;
+    renderScoreInputs(values, null);
+    saveScore();
+}
+
+function renderLiveScore() {
+    const container = document.getElementById('liveScoreContent');
+    const match = getLiveMatch();
+    if (!container) return;
+    if (!match) {
+        closeModal('liveScoreModal');
+        return;
+    }
+
+    const live = match.live;
+    const serve = getLiveServe(match);
+    const won = getLiveGamesWon(live);
+    const atStart = isLiveGameStart(match);
+    const playerName = id => escapeHtml(state.players.find(p => p.id === id)?.name || 'Unknown');
+
+    const renderSide = team => {
+        const index = team === 'team1' ? 0 : 1;
+        const players = [...match[team]].sort((a, b) => (a === live.right[team] ? 0 : 1) - (b === live.right[team] ? 0 : 1));
+
+        return `
+            <button class="live-side ${live.servingTeam === team ? 'serving' : ''}" onclick="awardRally('${team}')">
+                <span class="live-team-label">${team === 'team1' ? 'ทีม A' : 'ทีม B'} · ${won[team]} เกม</span>
+                <span class="live-points">${live.score[index]}</span>
+                ${players.map(id => `
+                    <span class="live-player">
+                        ${id === serve.serverId ? '🏸 ' : ''}${id === serve.receiverId ? '🎯 ' : ''}${playerName(id)}
+                        ${match[team].length === 2 ? `<small>${id === live.right[team] ? 'ขวา' : 'ซ้าย'}</small>` : ''}
+                    </span>
+                `).join('')}
+            </button>
+        `;
+    };
+
+    const sides = live.swapped ? ['team2', 'team1'] : ['team1', 'team2'];
+
+    container.innerHTML = `
+        <div class="live-header">
+            <span>เกม ${live.games.length + 1} · ${getScoringFormat(match).label}</span>
+            ${live.games.length > 0 ? `<span class="live-games">${live.games.map(g => g.join('-')).join(', ')}</span>` : ''}
+        </div>
+        ${live.notice ? `<div class="live-notice">${live.notice}</div>` : ''}
+        <div class="live-court">
+            ${sides.map(renderSide).join('')}
+        </div>
+        <p class="live-serve">🏸 ${playerName(serve.serverId)} เสิร์ฟจากฝั่ง${serve.court === 'right' ? 'ขวา' : 'ซ้าย'} → 🎯 ${playerName(serve.receiverId)} รับ</p>
+        ${atStart ? `
+            <div class="live-setup">
+                ${['team1', 'team2'].map(team => `
+                    <button class="btn ${live.servingTeam === team ? 'btn-primary' : 'btn-outline'}" onclick="setLiveServingTeam('${team}')">
+                        🏸 ${team === 'team1' ? 'ทีม A' : 'ทีม B'} เสิร์ฟก่อน
+                    </button>
+                    ${match[team].length === 2 ? `<button class="btn btn-outline" onclick="swapLivePositions('${team}')">⇄ สลับฝั่ง${team === 'team1' ? 'ทีม A' : 'ทีม B'}</button>` : ''}
+                `).join('')}
+            </div>
+        ` : ''}
+        <div class="modal-actions">
+            <button class="btn btn-outline" onclick="undoRally()" ${live.history.length === 0 ? 'disabled' : ''}>↩️ ย้อนแต้ม</button>
+            ${getScoringFormat(match).timed ? `<button class="btn btn-primary" onclick="endTimedGame()">⏹️ หมดเวลา</button>` : ''}
+            <button class="btn btn-outline" onclick="closeModal('liveScoreModal'); openScoreModal('${match.id}')">📝 กรอกคะแนนเอง</button>
+        </div>
+    `;
+}
+
+// ============================================
+// Player Rest Mode
+// ============================================
+
+function togglePlayerRest(id) {
+    const player = state.players.find(p => p.id === id);
+    if (!player) return;
+
+    if (player.isPlaying) {
+        showToast('ไม่สามารถพักผู้เล่นที่กำลังแข่งอยู่', 'error');
+        return;
+    }
+
+    player.isResting = !player.isResting;
+
+    // Time spent resting doesn't count as waiting
+    if (player.isResting) {
+        player.restStartedAt = new Date().toISOString();
+    } else if (player.restStartedAt) {
+        player.restSeconds = (player.restSeconds || 0) +
+            Math.floor((Date.now() - new Date(player.restStartedAt).getTime()) / 1000);
+        player.restStartedAt = null;
+        player.restEndedAt = new Date().toISOString();
+    }
+
+    saveToStorage();
+    renderPlayers();
+    updateStats();
+
+    if (player.isResting) {
+        showToast(`${player.name} พักผ่อน 😴`, 'info');
+    } else {
+        showToast(`${player.name} พร้อมแข่ง! 💪`, 'success');
+    }
+}
+
+// ============================================
+// Enhanced Rendering with Timer & Rest
+// ============================================
+
+// Override renderPlayers to include rest button
+const originalRenderPlayers = renderPlayers;
+renderPlayers = function () {
+    const container = document.getElementById('playerList');
+    const countEl = document.getElementById('playerCount');
+    const statsEl = document.getElementById('playerStats');
+
+    countEl.textContent = state.players.length;
+
+    // Calculate level stats
+    const levelCounts = { beginner: 0, intermediate: 0, advanced: 0, pro: 0 };
+    state.players.forEach(p => levelCounts[p.level]++);
+
+    statsEl.innerHTML = Object.entries(levelCounts)
+        .filter(([_, count]) => count > 0)
+        .map(([level, count]) => `
+            <span class="stat-badge" style="border-left: 3px solid var(--level-${level})">${count}</span>
+        `).join('');
+
+    if (state.players.length === 0) {
+        container.innerHTML = '<div class="empty-state">ยังไม่มีผู้เล่น</div>';
+        return;
+    }
+
+    // Sort: playing first, then by level and name
+    const sortedPlayers = [...state.players].sort((a, b) => {
+        // Playing players first
+        if (a.isPlaying !== b.isPlaying) return a.isPlaying ? -1 : 1;
+        // Resting players last
+        if (a.isResting !== b.isResting) return a.isResting ? 1 : -1;
+        // Then by level
+        const levelDiff = LEVEL_WEIGHTS[b.level] - LEVEL_WEIGHTS[a.level];
+        if (levelDiff !== 0) return levelDiff;
+        return a.name.localeCompare(b.name);
+    });
+
+    const stats = recomputePlayerStats();
+
+    container.innerHTML = sortedPlayers.map(player => `
+        <div class="player-card ${player.isPlaying ? 'playing' : ''} ${player.isResting ? 'resting' : ''}">
+            <div class="player-info">
+                <div class="player-avatar" style="background: var(--level-${player.level})">${player.name.charAt(0).toUpperCase()}</div>
+                <div class="player-details">
+                    <span class="player-name">${escapeHtml(player.name)} ${player.isResting ? '😴' : ''}</span>
+                    <span class="player-level ${player.level}">${LEVEL_LABELS[player.level]}${player.gender ? ` · ${GENDER_LABELS[player.gender]}` : ''}</span>
+                    ${hasPairingConstraints([player]) ? `<span class="player-partner">🚫 มีข้อจำกัดการจับคู่</span>` : ''}
+                    ${player.wantsSingles && state.settings.matchType === 'both' ? `<span class="player-partner">👤 อยากเล่นเดี่ยว</span>` : ''}
+                    ${player.fixedPartnerId ? `<span class="player-partner">🔗 ${escapeHtml(state.players.find(p => p.id === player.fixedPartnerId)?.name || '?')}</span>` : ''}
+                    ${!player.isPlaying && !player.isResting ? `<span class="player-wait-time">⏳ รอมา ${Math.floor(getSittingOutSeconds(player) / 60)} นาที</span>` : ''}
+                </div>
+            </div>
+            <div class="player-actions">
+                <span class="player-match-count" title="ชนะ/แพ้">${stats.get(player.id).wins}W ${stats.get(player.id).losses}L</span>
+                <span class="player-match-count" title="จำนวนแมตช์">${stats.get(player.id).played} 🎮</span>
+                <button class="player-action-btn rest ${player.isResting ? 'resting' : ''}" 
+                        onclick="togglePlayerRest('${player.id}')" 
+                        title="${player.isResting ? 'กลับมาแข่ง' : 'พักผ่อน'}">
+                    ${player.isResting ? '💪' : '😴'}
+                </button>
+                <button class="player-action-btn" onclick="editPlayer('${player.id}')" title="แก้ไข">✏️</button>
+                <button class="player-action-btn delete" onclick="removePlayer('${player.id}')" title="ลบ">🗑️</button>
+            </div>
+        </div>
+    `).join('');
+};
+
+// Override renderCourts to include timer and score button
+const originalRenderCourts = renderCourts;
+renderCourts = function () {
+    const container = document.getElementById('courtsGrid');
+    const courts = [];
+
+    for (let i = 1; i <= state.settings.courtCount; i++) {
+        const currentMatch = state.currentMatches.find(m => m.court === i);
+        courts.push({ number: i, match: currentMatch });
+    }
+
+    container.innerHTML = courts.map(court => {
+        if (court.match) {
+            const team1Names = court.match.team1.map(id => {
+                const p = state.players.find(pl => pl.id === id);
+                return p ? escapeHtml(p.name) : 'Unknown';
+            });
+            const team2Names = court.match.team2.map(id => {
+                const p = state.players.find(pl => pl.id === id);
+                return p ? escapeHtml(p.name) : 'Unknown';
+            });
+
+            // Calculate elapsed time
+            let timerDisplay = '00:00';
+            if (court.match.startedAt) {
+                const elapsed = Math.floor((Date.now() - new Date(court.match.startedAt).getTime()) / 1000);
+                const minutes = Math.floor(elapsed / 60);
+                const seconds = elapsed % 60;
+                timerDisplay = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+            }
+
+            return `
+                <div class="court-card playing">
+                    <div class="court-header">
+                        <span class="court-number">🏟️ ${escapeHtml(getCourtName(court.number))}</span>
+                        ${court.match.streak ? `<span class="court-streak">🔥 ทีม A ชนะติด ${court.match.streak}</span>` : ''}
+                        <span class="court-status playing">กำลังแข่ง${state.settings.matchType === 'both' ? ` · ${MATCH_TYPE_LABELS[court.match.type]}` : ''}</span>
+                    </div>
+                    <div class="court-players">
+                        <div class="court-team">
+                            <span class="court-team-label">ทีม A</span>
+                            <div class="court-team-players">
+                                ${team1Names.map(name => `<span class="court-player">${name}</span>`).join('')}
+                            </div>
+                        </div>
+                        <div class="court-vs">VS</div>
+                        <div class="court-team">
+                            <span class="court-team-label">ทีม B</span>
+                            <div class="court-team-players">
+                                ${team2Names.map(name => `<span class="court-player">${name}</span>`).join('')}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="court-timer">
+                        <span class="timer-icon">⏱️</span>
+                        <span class="timer-value" id="timer-${court.match.id}">${timerDisplay}</span>
+                        ${court.match.live ? `<span class="court-live-score">เกม ${court.match.live.games.length + 1} · ${court.match.live.score.join('-')}</span>` : ''}
+                    </div>
+                    <div class="court-actions">
+                        <button class="btn btn-primary" onclick="openLiveScore('${court.match.id}')">
+                            🎯 นับสด
+                        </button>
+                        <button class="btn btn-outline" onclick="openScoreModal('${court.match.id}')">
+                            🏆 บันทึกคะแนน
+                        </button>
+                        <button class="btn btn-outline" onclick="completeMatch('${court.match.id}')">
+                            ✅ จบเลย
+                        </button>
+                    </div>
+                </div>
+            `;
+        } else {
+            const isOpen = isCourtOpen(court.number);
+            const restrictions = getCourtRestrictionLabels(court.number);
+
+            return `
+                <div class="court-card empty ${isOpen ? '' : 'closed'}">
+                    <div class="court-header">
+                        <span class="court-number">🏟️ ${escapeHtml(getCourtName(court.number))}</span>
+                        <button class="player-action-btn" onclick="editCourtProfile(${court.number})" title="ตั้งค่าคอร์ท">⚙️</button>
+                        <span class="court-status ${isOpen ? 'empty' : 'closed'}">${isOpen ? 'ว่าง' : '🔒 ปิด'}</span>
+                    </div>
+                    ${restrictions.length > 0 ? `
+                        <div class="court-restrictions">
+                            ${restrictions.map(label => `<span class="court-restriction">${label}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="court-empty-message">${isOpen ? 'รอผู้เล่น...' : 'นอกเวลาที่จองคอร์ทไว้'}</div>
+                </div>
+            `;
+        }
+    }).join('');
+
+    // Start timers if there are matches playing
+    if (state.currentMatches.length > 0) {
+        startTimers();
+    } else if (timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+};
+
+// Override generateMatches to exclude resting players
+const originalGenerateMatches = generateMatches;
+generateMatches = function (availablePlayers, ...args) {
+    // Filter out resting players
+    const activePlayers = availablePlayers.filter(p => !p.isResting);
+    return originalGenerateMatches.call(this, activePlayers, ...args);
+};
+
+// Override updateStats to show resting players
+const originalUpdateStats = updateStats;
+updateStats = function () {
+    document.getElementById('currentRound').textContent = state.currentRound;
+    document.getElementById('totalRounds').textContent = state.rounds.length;
+
+    const totalMatches = state.matches.length;
+    const completedMatches = state.matches.filter(m => m.status === 'completed').length;
+    const pendingMatches = state.matchQueue.length + state.currentMatches.length;
+    const restingPlayers = state.players.filter(p => p.isResting || (!p.isPlaying && !p.isResting)).length;
+
+    document.getElementById('totalMatches').textContent = totalMatches;
+    document.getElementById('completedMatches').textContent = completedMatches;
+    document.getElementById('pendingMatches').textContent = pendingMatches;
+    document.getElementById('restingPlayers').textContent = state.players.filter(p => p.isResting).length;
+};
+
+// Enhanced showPlayerStats with win/loss
+const originalShowPlayerStats = showPlayerStats;
+showPlayerStats = function () {
+    const modal = document.getElementById('playerStatsModal');
+    const content = document.getElementById('playerStatsContent');
+
+    const stats = recomputePlayerStats();
+    const sortedPlayers = [...state.players].sort((a, b) => stats.get(b.id).wins - stats.get(a.id).wins);
+
+    const totalMatches = state.matches.filter(m => m.status === 'completed').length;
+    const hasHandicaps = state.matches.some(m => m.rawScores);
+    const totalPlayers = state.players.length;
+    const avgMatchesPerPlayer = totalPlayers > 0 ?
+        (state.players.reduce((sum, p) => sum + stats.get(p.id).played, 0) / totalPlayers).toFixed(1) : 0;
+
+    content.innerHTML = `
+        <div class="player-stats-summary">
+            <div class="stat-box">
+                <div class="value">${totalMatches}</div>
+                <div class="label">แมตช์ที่เสร็จ</div>
+            </div>
+            <div class="stat-box">
+                <div class="value">${totalPlayers}</div>
+                <div class="label">ผู้เล่นทั้งหมด</div>
+            </div>
+            <div class="stat-box">
+                <div class="value">${avgMatchesPerPlayer}</div>
+                <div class="label">เฉลี่ย/คน</div>
+            </div>
+        </div>
+        <table class="player-stats-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>ผู้เล่น</th>
+                    <th>ระดับ</th>
+                    <th>เรตติ้ง</th>
+                    <th>แมตช์</th>
+                    <th>ชนะ</th>
+                    <th>แพ้</th>
+                    <th>%</th>
+                    <th title="แต้มได้-แต้มเสีย">แต้ม</th>
+                    <th>นาที</th>
+                    ${hasHandicaps ? '<th title="ไม่นับแต้มต่อ">ผลจริง</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${sortedPlayers.map((player, index) => {
+        const { played, wins, losses, pointsFor, pointsAgainst, courtSeconds, rawWins, rawLosses } = stats.get(player.id);
+        const total = wins + losses;
+        const winRate = total > 0 ? Math.round((wins / total) * 100) : 0;
+
+        return `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td class="player-stats-name" onclick="showPlayerHistory('${player.id}')">${escapeHtml(player.name)}</td>
+                            <td>${LEVEL_LABELS[player.level]}</td>
+                            <td>${formatRating(player)}</td>
+                            <td>${played}</td>
+                            <td class="win">${wins}</td>
+                            <td class="loss">${losses}</td>
+                            <td>${winRate}%</td>
+                            <td>${pointsFor}-${pointsAgainst}</td>
+                            <td>${Math.round(courtSeconds / 60)}</td>
+                            ${hasHandicaps ? `<td>${rawWins}W ${rawLosses}L</td>` : ''}
+                        </tr>
+                    `;
+    }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    modal.classList.add('show');
+};
+
+// ============================================
+// Utility Functions
+// ============================================
+
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
-function showToast(message, type = 'info') {
-    const container = document.getElementById('toastContainer');
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = message;
+function showToast(message, type = 'info') {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.innerHTML = message;
+
+    container.appendChild(toast);
+
+    setTimeout(() => {
+        toast.style.animation = 'toastSlide 0.3s ease reverse forwards';
+        setTimeout(() => toast.remove(), 300);
+    }, 3000);
+}
+
+// ============================================
+// Bulk Add Players
+// ============================================
+
+function openBulkAddModal() {
+    document.getElementById('bulkPlayerNames').value = '';
+    document.getElementById('bulkAddModal').classList.add('show');
+}
+
+function bulkAddPlayers() {
+    const textarea = document.getElementById('bulkPlayerNames');
+    const level = document.getElementById('bulkPlayerLevel').value;
+    const gender = document.getElementById('bulkPlayerGender').value;
+    const names = textarea.value.split('\n').map(n => n.trim()).filter(n => n.length > 0);
+
+    if (names.length === 0) {
+        showToast('กรุณาใส่ชื่อผู้เล่น', 'error');
+        return;
+    }
+
+    let addedCount = 0;
+    let skippedCount = 0;
+
+    names.forEach(name => {
+        // Check for duplicates
+        if (state.players.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+            skippedCount++;
+            return;
+        }
+
+        const player = createPlayer(name, level, gender);
+
+        state.players.push(player);
+        addedCount++;
+    });
+
+    saveToStorage();
+    closeModal('bulkAddModal');
+    renderPlayers();
+    updateStats();
+
+    let msg = `เพิ่ม ${addedCount} คนเรียบร้อย`;
+    if (skippedCount > 0) {
+        msg += ` (ข้าม ${skippedCount} ชื่อซ้ำ)`;
+    }
+    showToast(msg, 'success');
+}
+
+// ============================================
+// Print Schedule
+// ============================================
+
+function printSchedule() {
+    // Prepare a print-friendly view
+    const printContent = generatePrintContent();
+
+    // Create a new window for printing
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>ตารางแข่งแบดมินตัน</title>
+            <link href="https://fonts.googleapis.com/css2?family=Prompt:wght@300;400;500;600&display=swap" rel="stylesheet">
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { 
+                    font-family: 'Prompt', sans-serif; 
+                    padding: 20px;
+                    background: white;
+                }
+                h1 { text-align: center; margin-bottom: 20px; }
+                h2 { margin: 20px 0 10px; border-bottom: 2px solid #333; padding-bottom: 5px; }
+                .info { margin-bottom: 20px; padding: 10px; background: #f5f5f5; border-radius: 8px; }
+                .match { 
+                    display: flex; 
+                    padding: 10px; 
+                    margin: 5px 0;
+                    background: #fafafa;
+                    border: 1px solid #ddd;
+                    border-radius: 4px;
+                }
+                .match-num { width: 30px; font-weight: bold; }
+                .match-teams { flex: 1; }
+                .match-status { width: 80px; text-align: right; }
+                .player-list { columns: 3; column-gap: 20px; }
+                .player { padding: 5px 0; border-bottom: 1px solid #eee; }
+                .level-badge { 
+                    display: inline-block;
+                    width: 12px; height: 12px;
+                    border-radius: 50%;
+                    margin-right: 5px;
+                }
+                .level-beginner { background: #00b894; }
+                .level-intermediate { background: #fdcb6e; }
+                .level-advanced { background: #e17055; }
+                .level-pro { background: #d63031; }
+                .bracket { display: flex; gap: 16px; margin-bottom: 20px; }
+                .bracket-title { font-weight: bold; margin: 10px 0 6px; }
+                .bracket-round { display: flex; flex-direction: column; justify-content: space-around; gap: 8px; min-width: 160px; }
+                .bracket-round-title { font-weight: bold; text-align: center; }
+                .bracket-node { border: 1px solid #ddd; border-radius: 4px; background: #fafafa; }
+                .bracket-slot { padding: 4px 8px; border-bottom: 1px solid #eee; }
+                .bracket-slot.winner { font-weight: bold; }
+                .bracket-seed { color: #888; margin-right: 4px; font-size: 0.8em; }
+                .bracket-score { padding: 2px 8px; font-size: 0.8em; color: #666; }
+                @media print {
+                    body { padding: 0; }
+                    button { display: none; }
+                }
+            </style>
+        </head>
+        <body>
+            <h1>🏸 ตารางแข่งแบดมินตัน</h1>
+            <div class="info">
+                <strong>วันที่:</strong> ${new Date().toLocaleDateString('th-TH', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}<br>
+                <strong>ประเภท:</strong> ${MATCH_TYPE_LABELS[state.settings.matchType]} | 
+                <strong>คอร์ท:</strong> ${state.settings.courtCount} | 
+                <strong>ผู้เล่น:</strong> ${state.players.length} คน |
+                <strong>แมทช์:</strong> ${state.matches.length}
+            </div>
+            ${printContent}
+            <button onclick="window.print()" style="position:fixed;bottom:20px;right:20px;padding:10px 20px;font-size:16px;cursor:pointer;">🖨️ Print</button>
+        </body>
+        </html>
+    `);
+    printWindow.document.close();
+}
+
+function generatePrintContent() {
+    let html = '';
+
+    // Players list
+    html += '<h2>👥 รายชื่อผู้เล่น</h2><div class="player-list">';
+    state.players.forEach((p, i) => {
+        html += `<div class="player"><span class="level-badge level-${p.level}"></span>${i + 1}. ${escapeHtml(p.name)}</div>`;
+    });
+    html += '</div>';
+
+    // Knockout bracket
+    if (state.tournament?.brackets) {
+        html += `<h2>🏆 สายการแข่งขัน</h2>${renderBracketHtml(state.tournament)}`;
+    }
+
+    // Schedule by round
+    html += '<h2>📅 ตารางการแข่ง</h2>';
+    state.rounds.forEach(round => {
+        html += `<h3 style="margin-top:15px;">รอบที่ ${round.roundNumber}</h3>`;
+        const roundMatches = state.matches.filter(m => m.roundId === round.id);
+        roundMatches.forEach((match, i) => {
+            const team1 = match.team1.map(id => {
+                const p = state.players.find(pl => pl.id === id);
+                return p ? p.name : '?';
+            }).join(' & ');
+            const team2 = match.team2.map(id => {
+                const p = state.players.find(pl => pl.id === id);
+                return p ? p.name : '?';
+            }).join(' & ');
+            const status = match.status === 'completed' ? '✅' : (match.status === 'playing' ? '▶️' : '⏳');
+
+            html += `<div class="match">
+                <span class="match-num">${i + 1}</span>
+                <span class="match-teams">${team1} vs ${team2}</span>
+                <span class="match-status">${status}</span>
+            </div>`;
+        });
+    });
+
+    return html;
+}
+
+// ============================================
+// Player History
+// ============================================
+
+function showPlayerHistory(playerId) {
+    const player = state.players.find(p => p.id === playerId);
+    if (!player) return;
+
+    const playerMatches = state.matches.filter(m =>
+        m.status === 'completed' &&
+        (m.team1.includes(playerId) || m.team2.includes(playerId))
+    );
+
+    const modal = document.getElementById('playerHistoryModal');
+    const content = document.getElementById('playerHistoryContent');
+    const stats = recomputePlayerStats().get(playerId);
+
+    content.innerHTML = `
+        <div class="history-player-header">
+            <div class="history-player-avatar" style="background: var(--level-${player.level})">${player.name.charAt(0).toUpperCase()}</div>
+            <div class="history-player-info">
+                <h3>${escapeHtml(player.name)}</h3>
+                <p>${LEVEL_LABELS[player.level]} | ${stats.played} แมทช์ | ${stats.wins}W ${stats.losses}L</p>
+                <p>🏸 แต้ม ${stats.pointsFor}-${stats.pointsAgainst} | ⏱️ ${Math.round(stats.courtSeconds / 60)} นาทีในคอร์ท</p>
+                <p>📈 เรตติ้ง ${formatRating(player)}</p>
+                ${getLadderPosition(player.id) ? `<p>🪜 อันดับ Ladder #${getLadderPosition(player.id)}</p>` : ''}
+            </div>
+        </div>
+        ${(player.ladderHistory || []).length > 0 ? `
+            <div class="history-rating">
+                ${player.ladderHistory.map(entry => `
+                    <span class="history-rating-entry ${entry.from === null || entry.to < entry.from ? 'win' : 'loss'}" title="${new Date(entry.at).toLocaleString('th-TH')}">
+                        🪜 ${entry.from === null ? 'เข้าร่วม' : `#${entry.from}`} → #${entry.to}
+                    </span>
+                `).join('')}
+            </div>
+        ` : ''}
+        ${(player.ratingHistory || []).length > 0 ? `
+            <div class="history-rating">
+                ${player.ratingHistory.map(entry => `
+                    <span class="history-rating-entry ${entry.change >= 0 ? 'win' : 'loss'}" title="${new Date(entry.at).toLocaleTimeString('th-TH')}">
+                        ${entry.rating} (${entry.change >= 0 ? '+' : ''}${entry.change})
+                    </span>
+                `).join('')}
+            </div>
+        ` : ''}
+        <div class="history-match-list">
+            ${playerMatches.length === 0 ? '<div class="empty-state">ยังไม่มีประวัติการแข่ง</div>' :
+            playerMatches.map(match => {
+                const isTeam1 = match.team1.includes(playerId);
+                const playerTeam = isTeam1 ? match.team1 : match.team2;
+                const opponentTeam = isTeam1 ? match.team2 : match.team1;
+                const isWinner = (match.winner === 'team1' && isTeam1) || (match.winner === 'team2' && !isTeam1);
+
+                const teammates = playerTeam.filter(id => id !== playerId).map(id => {
+                    const p = state.players.find(pl => pl.id === id);
+                    return p ? p.name : '?';
+                });
+
+                const opponents = opponentTeam.map(id => {
+                    const p = state.players.find(pl => pl.id === id);
+                    return p ? p.name : '?';
+                });
+
+                return `
+                    <div class="history-match ${isWinner ? 'win' : 'loss'}">
+                        <div class="history-match-teams">
+                            ${teammates.length > 0 ? `คู่: ${teammates.join(', ')} | ` : ''}
+                            vs ${opponents.join(' & ')}
+                            ${match.rawScores ? `
+                                <div class="history-handicap">
+                                    ⚖️ แต้มต่อ ${match.handicap.team === (isTeam1 ? 'team1' : 'team2') ? '+' : '-'}${match.handicap.points}
+                                    | ผลจริง ${getSetResults(match.rawScores).map(([a, b]) => isTeam1 ? `${a}-${b}` : `${b}-${a}`).join(', ')}
+                                </div>
+                            ` : ''}
+                        </div>
+                        <span class="history-match-result ${isWinner ? 'win' : 'loss'}">
+                            ${isWinner ? '🏆 ชนะ' : '❌ แพ้'}
+                        </span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    modal.classList.add('show');
+}
+
+// ============================================
+// Shuffle Queue
+// ============================================
+
+function shuffleQueue() {
+    if (state.matchQueue.length < 2) {
+        showToast('ต้องมีอย่างน้อย 2 แมทช์ในคิวเพื่อสับเปลี่ยน', 'info');
+        return;
+    }
+
+    state.matchQueue = shuffleArray(state.matchQueue);
+    saveToStorage();
+    renderQueue();
+    showToast('สับเปลี่ยนคิวเรียบร้อย', 'success');
+}
+
+// ============================================
+// Undo / Redo
+// ============================================
+
+// Each undoable action serialises the whole state twice (before and after, to
+// skip no-op steps). That's cheap at club-night sizes; the limit bounds memory.
+const UNDO_LIMIT = 50;
+
+// Actions that can be undone, with the label shown when undoing them
+const UNDOABLE_ACTIONS = {
+    addPlayer: 'เพิ่มผู้เล่น',
+    addBulkPlayers: 'เพิ่มผู้เล่นหลายคน',
+    bulkAddPlayers: 'เพิ่มผู้เล่นหลายคน',
+    saveEditPlayer: 'แก้ไขผู้เล่น',
+    changePlayerLevel: 'เปลี่ยนระดับ',
+    removePlayer: 'ลบผู้เล่น',
+    togglePlayerRest: 'พัก/กลับมาแข่ง',
+    generateRound: 'สร้างรอบ',
+    startNextMatch: 'เริ่มแมตช์',
+    completeMatch: 'จบแมตช์',
+    completeCurrentMatches: 'จบทุกแมตช์',
+    saveScore: 'บันทึกคะแนน',
+    shuffleQueue: 'สับเปลี่ยนคิว',
+    setMatchType: 'เปลี่ยนประเภท',
+    saveSetting: 'เปลี่ยนการตั้งค่า',
+    setContinuousMode: 'เปลี่ยนโหมดต่อเนื่อง',
+    adjustCourts: 'เปลี่ยนจำนวนคอร์ท',
+    saveCourtProfile: 'ตั้งค่าคอร์ท',
+    createTournament: 'สร้างทัวร์นาเมนต์',
+    endTournament: 'จบทัวร์นาเมนต์',
+    joinLadder: 'เข้า Ladder',
+    joinAllLadder: 'เข้า Ladder',
+    leaveLadder: 'ออกจาก Ladder',
+    setLadderRange: 'เปลี่ยนระยะท้าชิง',
+    createLadderChallenge: 'ท้าชิง Ladder',
+    doImport: 'นำเข้าข้อมูล',
+    resetAll: 'ล้างข้อมูล'
+};
+
+const undoStack = [];
+const redoStack = [];
+let undoDepth = 0; // Actions called from inside another action are part of it
+
+// Everything an action can change; the rental timer keeps running on its own
+function captureUndoState() {
+    const { rentalTimer, ...rest } = state;
+    return JSON.stringify(rest);
+}
+
+function restoreUndoState(snapshot) {
+    Object.assign(state, JSON.parse(snapshot));
+    linkMatchCopies();
+    saveToStorage();
+    initializeUI();
+    renderAll();
+    updateUndoButtons();
+}
+
+Object.entries(UNDOABLE_ACTIONS).forEach(([name, label]) => {
+    const action = window[name];
+    window[name] = function (...args) {
+        if (undoDepth > 0) return action.apply(this, args);
+
+        const before = captureUndoState();
+        undoDepth++;
+        try {
+            return action.apply(this, args);
+        } finally {
+            undoDepth--;
+            // Cancelled or rejected actions change nothing and leave no undo step
+            if (captureUndoState() !== before) {
+                undoStack.push({ label, snapshot: before });
+                if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+                redoStack.length = 0;
+                updateUndoButtons();
+            }
+        }
+    };
+});
+
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast('ไม่มีอะไรให้ย้อนกลับ', 'info');
+        return;
+    }
+
+    redoStack.push({ label: entry.label, snapshot: captureUndoState() });
+    restoreUndoState(entry.snapshot);
+    showToast(`↩️ ย้อนกลับ: ${entry.label}`, 'success');
+}
+
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showToast('ไม่มีอะไรให้ทำซ้ำ', 'info');
+        return;
+    }
+
+    undoStack.push({ label: entry.label, snapshot: captureUndoState() });
+    restoreUndoState(entry.snapshot);
+    showToast(`↪️ ทำซ้ำ: ${entry.label}`, 'success');
+}
+
+function updateUndoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    if (undoBtn) {
+        undoBtn.disabled = undoStack.length === 0;
+        undoBtn.title = undoStack.length > 0 ? `ย้อนกลับ: ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'ย้อนกลับ (Ctrl+Z)';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = redoStack.length === 0;
+        redoBtn.title = redoStack.length > 0 ? `ทำซ้ำ: ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'ทำซ้ำ (Ctrl+Shift+Z)';
+    }
+}
+
+// Close modals when clicking outside
+document.addEventListener('click', (e) => {
+    if (e.target.classList.contains('modal')) {
+        e.target.classList.remove('show');
+    }
+});
+
+// Keyboard shortcuts
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        document.querySelectorAll('.modal.show').forEach(m => m.classList.remove('show'));
+    }
+
+    // Text fields keep their own undo, and an open modal would be left showing a stale match
+    const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+    const modalOpen = Boolean(document.querySelector('.modal.show'));
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTyping && !modalOpen) {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+    }
+});
+
+// ============================================
+// Tournament
+// ============================================
+
+const TOURNAMENT_FORMAT_LABELS = {
+    roundrobin: '🔄 พบกันหมด (Round Robin)',
+    knockout: '🏆 แพ้คัดออก (Knockout)',
+    double: '♻️ แพ้สองครั้งตกรอบ (Double Elimination)',
+    swiss: '🇨🇭 สวิส (Swiss System)',
+    groups: '🏅 แบ่งกลุ่ม + แพ้คัดออก',
+    americano: '🔀 Americano (เปลี่ยนคู่ครบทุกคน)',
+    mexicano: '🌮 Mexicano (จับคู่ตามอันดับแต้ม)'
+};
+
+function showTournamentModal() {
+    renderTournament();
+    document.getElementById('tournamentModal').classList.add('show');
+}
+
+function renderTournament() {
+    const content = document.getElementById('tournamentContent');
+    content.innerHTML = state.tournament ? renderTournamentStatus() : renderTournamentSetup();
+}
+
+function renderTournamentSetup() {
+    const format = document.getElementById('tournamentFormat')?.value || 'roundrobin';
+    const isRotating = isRotatingPartnerFormat(format);
+    // Rotating-partner formats enter players one by one
+    const type = isRotating ? 'singles' : document.getElementById('tournamentType')?.value ||
+        (state.settings.matchType === 'singles' ? 'singles' : 'doubles');
+    const entrants = getEligibleEntrants(type);
+
+    return `
+        <div class="form-group">
+            <label>รูปแบบ</label>
+            <select id="tournamentFormat" class="form-select" onchange="renderTournament()">
+                ${Object.entries(TOURNAMENT_FORMAT_LABELS).map(([value, label]) => `
+                    <option value="${value}" ${value === format ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+        ${format === 'knockout' ? `
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="tournamentPlate">
+                    🥈 เพิ่มสาย Plate ให้ผู้แพ้รอบแรกได้แข่งต่อ
+                </label>
+            </div>
+        ` : ''}
+        ${format === 'swiss' || format === 'mexicano' ? `
+            <div class="form-group">
+                <label>จำนวนรอบ</label>
+                <input type="number" id="tournamentRounds" class="form-input" min="1" value="${format === 'swiss' ? getDefaultSwissRounds(entrants.length) : 5}">
+            </div>
+        ` : ''}
+        ${format === 'groups' ? `
+            <div class="form-group">
+                <label>จำนวนกลุ่ม</label>
+                <input type="number" id="tournamentGroups" class="form-input" min="1" max="${GROUP_NAMES.length}"
+                    value="${Math.min(GROUP_NAMES.length, Math.max(1, Math.ceil(entrants.length / 4)))}">
+            </div>
+            <div class="form-group">
+                <label>เข้ารอบกลุ่มละ</label>
+                <input type="number" id="tournamentQualifiers" class="form-input" min="1" value="2">
+            </div>
+        ` : ''}
+        ${isRotating ? '' : `
+            <div class="form-group">
+                <label>ประเภท</label>
+                <select id="tournamentType" class="form-select" onchange="renderTournament()">
+                    <option value="singles" ${type === 'singles' ? 'selected' : ''}>เดี่ยว (ผู้เล่น)</option>
+                    <option value="doubles" ${type === 'doubles' ? 'selected' : ''}>คู่ (คู่ประจำ)</option>
+                </select>
+            </div>
+        `}
+        <div class="form-group">
+            <label>ผู้เข้าแข่งขัน</label>
+            ${entrants.length === 0 ?
+            `<div class="empty-state">${type === 'doubles' ? 'ยังไม่มีคู่ประจำ (ตั้งได้ที่แก้ไขผู้เล่น)' : 'ยังไม่มีผู้เล่น'}</div>` :
+            `<div class="tournament-entrants">
+                ${entrants.map(entrant => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="tournament-entrant" value="${entrant.playerIds.join(',')}" checked>
+                        ${escapeHtml(getEntrantName(entrant))}
+                    </label>
+                `).join('')}
+            </div>`}
+        </div>
+        <button class="btn btn-success" onclick="createTournament()" style="width: 100%;">🏆 สร้างตารางแข่ง</button>
+    `;
+}
+
+function renderTournamentStatus() {
+    const tournament = state.tournament;
+    const matches = state.matches.filter(m => m.tournamentId === tournament.id);
+    const completed = matches.filter(m => m.status === 'completed').length;
+    const isRotating = isRotatingPartnerFormat(tournament.format);
+
+    return `
+        <div class="tournament-header">
+            <strong>${TOURNAMENT_FORMAT_LABELS[tournament.format]}</strong>
+            <span>${tournament.type === 'doubles' ? 'คู่' : 'เดี่ยว'} | ${tournament.entrants.length} ${isRotating ? 'คน' : 'ทีม'} | ${tournament.roundCount ? `รอบ ${tournament.round}/${tournament.roundCount} | ` : ''}แข่งแล้ว ${completed}/${matches.length}</span>
+        </div>
+        ${tournament.unpairedPartnerships ? `<p class="modal-hint">⚠️ ไม่ได้เล่นด้วยกัน: ${escapeHtml(getUnpairedPartnershipNames(tournament))}</p>` : ''}
+        ${tournament.championId ? `<div class="tournament-champion">🥇 แชมป์: ${escapeHtml(getEntrantName(getEntrant(tournament, tournament.championId)))}</div>` : ''}
+        ${tournament.brackets ? renderBracketHtml(tournament) : ''}
+        ${tournament.groups ? renderGroupStage(tournament) :
+        tournament.brackets ? '' :
+            isRotating ? renderPointsLeaderboard(computePointsLeaderboard(tournament)) :
+                renderStandingsTable(computeStandings(tournament))}
+        <button class="btn btn-outline" onclick="endTournament()" style="width: 100%; margin-top: 1rem;">🏁 ปิดทัวร์นาเมนต์</button>
+    `;
+}
+
+// Singles: every player. Doubles: every fixed pair, listed once
+function getEligibleEntrants(type) {
+    if (type === 'singles') {
+        return state.players.map(p => ({ playerIds: [p.id] }));
+    }
+
+    const entrants = [];
+    state.players.forEach(p => {
+        const partner = state.players.find(o => o.id === p.fixedPartnerId);
+        if (partner && p.id < partner.id) {
+            entrants.push({ playerIds: [p.id, partner.id] });
+        }
+    });
+    return entrants;
+}
+
+function getEntrant(tournament, entrantId) {
+    return tournament.entrants.find(e => e.id === entrantId);
+}
+
+function getEntrantName(entrant) {
+    return entrant.playerIds.map(id => {
+        const p = state.players.find(pl => pl.id === id);
+        return p ? p.name : '?';
+    }).join(' & ');
+}
+
+function createTournament() {
+    const format = document.getElementById('tournamentFormat').value;
+    const isRotating = isRotatingPartnerFormat(format);
+    const type = isRotating ? 'doubles' : document.getElementById('tournamentType').value;
+    const entrants = Array.from(document.querySelectorAll('.tournament-entrant:checked')).map(input => ({
+        id: generateId(),
+        playerIds: input.value.split(',')
+    }));
+
+    if (entrants.length < 2) {
+        showToast('ต้องมีผู้เข้าแข่งขันอย่างน้อย 2 ทีม', 'error');
+        return;
+    }
+    if (isRotating && entrants.length < 4) {
+        showToast('ต้องมีผู้เล่นอย่างน้อย 4 คน', 'error');
+        return;
+    }
+
+    const tournament = {
+        id: generateId(),
+        format: format,
+        type: type,
+        entrants: entrants,
+        createdAt: new Date().toISOString()
+    };
+
+    state.tournament = tournament;
+
+    let matchTotal = 0;
+    switch (format) {
+        case 'roundrobin':
+            matchTotal = scheduleTournamentRounds(tournament, buildRoundRobinPairings(entrants), 'พบกันหมด');
+            break;
+        case 'knockout':
+            matchTotal = createKnockout(tournament, { plate: document.getElementById('tournamentPlate').checked });
+            break;
+        case 'double':
+            matchTotal = createKnockout(tournament, { double: true });
+            break;
+        case 'swiss': {
+            const roundCount = parseInt(document.getElementById('tournamentRounds').value);
+            if (!(roundCount >= 1 && roundCount < entrants.length)) {
+                state.tournament = null;
+                showToast(`จำนวนรอบต้องอยู่ระหว่าง 1 ถึง ${entrants.length - 1}`, 'error');
+                return;
+            }
+            matchTotal = createSwiss(tournament, roundCount);
+            break;
+        }
+        case 'groups': {
+            const groupCount = parseInt(document.getElementById('tournamentGroups').value);
+            const qualifiers = parseInt(document.getElementById('tournamentQualifiers').value);
+            const smallestGroup = Math.floor(entrants.length / groupCount);
+            const maxGroups = Math.min(GROUP_NAMES.length, Math.floor(entrants.length / 2));
+            if (!(groupCount >= 1 && groupCount <= maxGroups)) {
+                state.tournament = null;
+                showToast(`จำนวนกลุ่มต้องอยู่ระหว่าง 1 ถึง ${maxGroups} (กลุ่มละ 2 ทีมขึ้นไป)`, 'error');
+                return;
+            }
+            if (!(qualifiers >= 1 && qualifiers <= smallestGroup && groupCount * qualifiers >= 2)) {
+                state.tournament = null;
+                showToast(`จำนวนทีมที่เข้ารอบต้องอยู่ระหว่าง 1 ถึง ${smallestGroup} และรวมกันอย่างน้อย 2 ทีม`, 'error');
+                return;
+            }
+            matchTotal = createGroupStage(tournament, groupCount, qualifiers);
+            break;
+        }
+        case 'americano':
+            matchTotal = createAmericano(tournament);
+            break;
+        case 'mexicano': {
+            const roundCount = parseInt(document.getElementById('tournamentRounds').value);
+            if (!(roundCount >= 1)) {
+                state.tournament = null;
+                showToast('จำนวนรอบต้องมีอย่างน้อย 1 รอบ', 'error');
+                return;
+            }
+            matchTotal = createMexicano(tournament, roundCount);
+            break;
+        }
+    }
+
+    saveToStorage();
+    renderAll();
+    renderTournament();
+    showToast(`สร้างทัวร์นาเมนต์เรียบร้อย (${matchTotal} แมตช์)`, 'success');
+}
+
+function endTournament() {
+    if (!confirm('ปิดทัวร์นาเมนต์นี้? แมตช์ที่สร้างไว้จะยังอยู่ในตาราง')) return;
+
+    state.tournament = null;
+    saveToStorage();
+    renderAll();
+    renderTournament();
+    showToast('ปิดทัวร์นาเมนต์แล้ว', 'info');
+}
+
+/**
+ * Circle method: one entrant stays fixed while the rest rotate, so everyone
+ * meets everyone exactly once. Odd fields get a bye slot, which is dropped.
+ */
+function buildRoundRobinPairings(entrants) {
+    const slots = [...entrants];
+    if (slots.length % 2 === 1) slots.push(null);
+
+    const rounds = [];
+    for (let r = 0; r < slots.length - 1; r++) {
+        const pairings = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            const a = slots[i];
+            const b = slots[slots.length - 1 - i];
+            if (a && b) pairings.push([a, b]);
+        }
+        rounds.push(pairings);
+
+        // Keep the first slot, rotate the rest clockwise
+        slots.splice(1, 0, slots.pop());
+    }
+
+    return rounds;
+}
+
+function createTournamentMatch(tournament, entrantA, entrantB) {
+    const match = {
+        id: generateId(),
+        type: tournament.type,
+        team1: [...entrantA.playerIds],
+        team2: [...entrantB.playerIds],
+        entrant1: entrantA.id,
+        entrant2: entrantB.id,
+        tournamentId: tournament.id,
+        status: 'pending',
+        court: null,
+        createdAt: new Date().toISOString()
+    };
+
+    // Americano and Mexicano games are a single game to a points total or time limit
+    if (isRotatingPartnerFormat(tournament.format)) match.scoringFormat = 'timed';
+
+    return match;
+}
+
+/**
+ * Turn rounds of pairings into schedule rounds of at most `courtCount`
+ * matches each, and queue every match. Returns the number of matches.
+ */
+function scheduleTournamentRounds(tournament, pairingRounds, label) {
+    const courtCount = state.settings.courtCount;
+    let matchTotal = 0;
+
+    pairingRounds.forEach((pairings, index) => {
+        for (let start = 0; start < pairings.length; start += courtCount) {
+            state.currentRound++;
+
+            const round = {
+                id: generateId(),
+                roundNumber: state.currentRound,
+                matches: [],
+                tournamentId: tournament.id,
+                label: pairingRounds.length > 1 ? `${label} ${index + 1}` : label,
+                createdAt: new Date().toISOString()
+            };
+
+            pairings.slice(start, start + courtCount).forEach(([a, b]) => {
+                const match = createTournamentMatch(tournament, a, b);
+                match.roundId = round.id;
+                match.roundNumber = round.roundNumber;
+                state.matches.push(match);
+                round.matches.push(match.id);
+                state.matchQueue.push(match);
+                matchTotal++;
+            });
+
+            state.rounds.push(round);
+        }
+    });
+
+    return matchTotal;
+}
+
+function getMatchEntrantResult(match, entrantId) {
+    const isTeam1 = match.entrant1 === entrantId;
+    const sets = getSetResults(match.scores).map(([a, b]) => isTeam1 ? [a, b] : [b, a]);
+
+    return {
+        won: match.winner === (isTeam1 ? 'team1' : 'team2'),
+        lost: match.winner === (isTeam1 ? 'team2' : 'team1'),
+        setsFor: sets.filter(([a, b]) => a > b).length,
+        setsAgainst: sets.filter(([a, b]) => b > a).length,
+        pointsFor: sets.reduce((sum, [a]) => sum + a, 0),
+        pointsAgainst: sets.reduce((sum, [, b]) => sum + b, 0)
+    };
+}
+
+/**
+ * Standings from scored tournament matches. Ranked by wins, then set
+ * difference, then point difference, then wins between the tied entrants.
+ * Swiss events rank by score (byes count as wins, draws as half) and then
+ * Buchholz, the total score of everyone an entrant has played.
+ */
+function computeStandings(tournament, matchFilter = () => true) {
+    const matches = state.matches.filter(m =>
+        m.tournamentId === tournament.id && m.status === 'completed' && m.winner && matchFilter(m));
+
+    const rows = tournament.entrants.map(entrant => {
+        const row = { entrant, played: 0, wins: 0, losses: 0, draws: 0, setsFor: 0, setsAgainst: 0, pointsFor: 0, pointsAgainst: 0 };
+
+        matches.filter(m => m.entrant1 === entrant.id || m.entrant2 === entrant.id).forEach(match => {
+            const result = getMatchEntrantResult(match, entrant.id);
+            row.played++;
+            if (result.won) row.wins++;
+            if (result.lost) row.losses++;
+            if (match.winner === 'draw') row.draws++;
+            row.setsFor += result.setsFor;
+            row.setsAgainst += result.setsAgainst;
+            row.pointsFor += result.pointsFor;
+            row.pointsAgainst += result.pointsAgainst;
+        });
+
+        row.byes = (tournament.byes || []).filter(id => id === entrant.id).length;
+        row.score = row.wins + row.byes + row.draws / 2;
+        return row;
+    });
+
+    const isSwiss = tournament.format === 'swiss';
+    if (isSwiss) {
+        const scores = new Map(rows.map(row => [row.entrant.id, row.score]));
+        rows.forEach(row => {
+            row.buchholz = matches
+                .filter(m => m.entrant1 === row.entrant.id || m.entrant2 === row.entrant.id)
+                .reduce((sum, m) => sum + scores.get(m.entrant1 === row.entrant.id ? m.entrant2 : m.entrant1), 0);
+        });
+    }
+
+    const compareTotals = (a, b) =>
+        (isSwiss ? (b.score - a.score) || (b.buchholz - a.buchholz) : (b.wins - a.wins)) ||
+        ((b.setsFor - b.setsAgainst) - (a.setsFor - a.setsAgainst)) ||
+        ((b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst));
+
+    rows.sort(compareTotals);
+
+    // Head-to-head: re-rank each tied group by wins in matches among themselves
+    const ranked = [];
+    for (let i = 0; i < rows.length;) {
+        let j = i + 1;
+        while (j < rows.length && compareTotals(rows[i], rows[j]) === 0) j++;
+
+        const group = rows.slice(i, j);
+        if (group.length > 1) {
+            const groupIds = group.map(row => row.entrant.id);
+            const headToHeadWins = entrantId => matches.filter(m =>
+                groupIds.includes(m.entrant1) && groupIds.includes(m.entrant2) &&
+                getMatchEntrantResult(m, entrantId).won).length;
+            group.sort((a, b) => headToHeadWins(b.entrant.id) - headToHeadWins(a.entrant.id));
+        }
+
+        ranked.push(...group);
+        i = j;
+    }
+
+    return ranked;
+}
+
+// `qualifyCount` highlights that many rows from the top as going through
+function renderStandingsTable(rows, qualifyCount = 0) {
+    const isSwiss = rows.some(row => row.buchholz !== undefined);
+
+    return `
+        <table class="player-stats-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>ทีม</th>
+                    <th>แข่ง</th>
+                    <th>ชนะ</th>
+                    <th>แพ้</th>
+                    ${isSwiss ? '<th>คะแนน</th><th>Buchholz</th>' : ''}
+                    <th>เซต +/-</th>
+                    <th>แต้ม +/-</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map((row, index) => `
+                    <tr class="${index < qualifyCount ? 'qualified' : ''}">
+                        <td>${index + 1}</td>
+                        <td>${escapeHtml(getEntrantName(row.entrant))}</td>
+                        <td>${row.played}</td>
+                        <td class="win">${row.wins}</td>
+                        <td class="loss">${row.losses}</td>
+                        ${isSwiss ? `<td>${row.score}</td><td>${row.buchholz}</td>` : ''}
+                        <td>${row.setsFor - row.setsAgainst}</td>
+                        <td>${row.pointsFor - row.pointsAgainst}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Called from saveScore once a tournament match has a result
+function onTournamentMatchScored(match) {
+    const tournament = state.tournament;
+    if (!tournament || match.tournamentId !== tournament.id) return;
+
+    if (match.bracketNodeId) {
+        advanceKnockout(tournament, match);
+    } else if (tournament.format === 'groups') {
+        advanceGroupStage(tournament);
+    } else if (tournament.format === 'swiss') {
+        advanceSwiss(tournament);
+    } else if (isRotatingPartnerFormat(tournament.format)) {
+        advanceRotation(tournament);
+    }
+}
 
-    container.appendChild(toast);
+// Bracket, group, Swiss and rotating-partner matches need a score before the event can move on
+function needsTournamentResult(match) {
+    const tournament = state.tournament;
+    return Boolean(tournament && match.tournamentId === tournament.id &&
+        (match.bracketNodeId || ['groups', 'swiss'].includes(tournament.format) || isRotatingPartnerFormat(tournament.format)));
+}
 
-    setTimeout(() => {
-        toast.style.animation = 'toastSlide 0.3s ease reverse forwards';
-        setTimeout(() => toast.remove(), 300);
-    }, 3000);
+// ============================================
+// Knockout Bracket
+// ============================================
+
+// Average rating of the entrant's players, used for seeding
+function getEntrantStrength(entrant) {
+    const players = entrant.playerIds.map(id => state.players.find(p => p.id === id)).filter(Boolean);
+    return players.length > 0 ? getTeamStrength(players) : 0;
+}
+
+// Standard seed order for a bracket of `size`, e.g. 8 -> 1, 8, 4, 5, 2, 7, 3, 6
+function getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const nextSize = order.length * 2;
+        order = order.flatMap(seed => [seed, nextSize + 1 - seed]);
+    }
+    return order;
+}
+
+function getBracketRoundName(nodeCount) {
+    if (nodeCount === 1) return 'ชิงชนะเลิศ';
+    if (nodeCount === 2) return 'รอบรองชนะเลิศ';
+    return `รอบ ${nodeCount * 2} ทีม`;
+}
+
+function createBracketNode(round, index) {
+    return {
+        id: generateId(),
+        round: round,
+        index: index,
+        slots: [null, null],
+        // A slot is settled once its entrant arrives, or once it's known nobody will (a bye)
+        settled: [false, false],
+        matchId: null,
+        winnerId: null,
+        loserId: null,
+        winnerTo: null,
+        loserTo: null
+    };
+}
+
+// Add a bracket with `nodeCounts[r]` nodes in round r
+function addBracket(tournament, key, name, nodeCounts, roundNames) {
+    const bracket = {
+        key: key,
+        name: name,
+        roundNames: roundNames,
+        rounds: nodeCounts.map((count, r) => Array.from({ length: count }, (_, i) => createBracketNode(r, i))),
+        championId: null
+    };
+    tournament.brackets.push(bracket);
+    return bracket;
+}
+
+// Link each round's winners into the next round, pairing nodes 2i and 2i+1
+function linkBracketRounds(rounds) {
+    rounds.slice(0, -1).forEach((nodes, r) => {
+        nodes.forEach(node => {
+            node.winnerTo = { nodeId: rounds[r + 1][Math.floor(node.index / 2)].id, slot: node.index % 2 };
+        });
+    });
+}
+
+/**
+ * Build the winners' bracket for the seeded entrants: the field is padded
+ * to a power of two with byes, which land against the top seeds. Options:
+ * `double` adds a losers' bracket and grand final, `plate` adds a
+ * consolation bracket for first-round losers, `seeded` gives the seeding
+ * order instead of ranking every entrant by rating.
+ */
+function createKnockout(tournament, { double = false, plate = false, seeded = null } = {}) {
+    seeded = seeded || [...tournament.entrants].sort((a, b) => getEntrantStrength(b) - getEntrantStrength(a));
+    seeded.forEach((entrant, index) => { entrant.seed = index + 1; });
+
+    let size = 2;
+    while (size < seeded.length) size *= 2;
+    const roundCount = Math.log2(size);
+
+    tournament.brackets = [];
+    tournament.bracketRoundIds = {};
+
+    const mainCounts = Array.from({ length: roundCount }, (_, r) => size / 2 ** (r + 1));
+    const main = addBracket(tournament, 'main', double ? 'สายบน' : 'สายหลัก', mainCounts,
+        mainCounts.map(count => double && count === 1 ? 'ชิงสายบน' : getBracketRoundName(count)));
+    linkBracketRounds(main.rounds);
+
+    if (double) {
+        linkLosersBracket(tournament, main, size);
+    }
+    if (plate && size >= 4) {
+        const plateCounts = mainCounts.slice(1);
+        const plateBracket = addBracket(tournament, 'plate', 'สาย Plate', plateCounts, plateCounts.map(getBracketRoundName));
+        linkBracketRounds(plateBracket.rounds);
+        main.rounds[0].forEach(node => {
+            node.loserTo = { nodeId: plateBracket.rounds[0][Math.floor(node.index / 2)].id, slot: node.index % 2 };
+        });
+    }
+
+    const seedOrder = getSeedOrder(size);
+    let matchTotal = 0;
+    main.rounds[0].forEach((node, i) => {
+        [seedOrder[i * 2], seedOrder[i * 2 + 1]].forEach((seed, slot) => {
+            matchTotal += fillBracketSlot(tournament, node.id, slot, seeded[seed - 1]?.id || null);
+        });
+    });
+
+    return matchTotal;
+}
+
+/**
+ * Losers' bracket for double elimination: first-round losers meet each
+ * other, then each later round takes on the next batch dropping down from
+ * the winners' bracket. Dropped entrants are fed in reverse order to put
+ * off rematches. If the losers' bracket winner takes the grand final, a
+ * deciding match is played so nobody goes out on a single loss.
+ */
+function linkLosersBracket(tournament, main, size) {
+    const finalBracket = addBracket(tournament, 'final', 'Grand Final', [1, 1], ['ชิงชนะเลิศ', 'ชิงชนะเลิศ (นัดตัดสิน)']);
+    const grandFinal = finalBracket.rounds[0][0];
+    grandFinal.resetNodeId = finalBracket.rounds[1][0].id;
+    const mainFinal = main.rounds[main.rounds.length - 1][0];
+    mainFinal.winnerTo = { nodeId: grandFinal.id, slot: 0 };
+
+    if (size === 2) {
+        mainFinal.loserTo = { nodeId: grandFinal.id, slot: 1 };
+        return;
+    }
+
+    const nodeCounts = [size / 4];
+    for (let r = 1; r < main.rounds.length; r++) {
+        nodeCounts.push(size / 2 ** (r + 1));
+        if (r < main.rounds.length - 1) nodeCounts.push(size / 2 ** (r + 2));
+    }
+    const losers = addBracket(tournament, 'losers', 'สายล่าง', nodeCounts, nodeCounts.map((_, r) => `สายล่าง รอบ ${r + 1}`));
+
+    main.rounds[0].forEach(node => {
+        node.loserTo = { nodeId: losers.rounds[0][Math.floor(node.index / 2)].id, slot: node.index % 2 };
+    });
+
+    losers.rounds.forEach((nodes, r) => {
+        const next = losers.rounds[r + 1];
+        if (!next) {
+            nodes[0].winnerTo = { nodeId: grandFinal.id, slot: 1 };
+            return;
+        }
+
+        if (next.length === nodes.length) {
+            // Next round takes one survivor and one winners' bracket drop-down per node
+            const dropRound = main.rounds[(r + 2) / 2];
+            nodes.forEach((node, i) => {
+                node.winnerTo = { nodeId: next[i].id, slot: 0 };
+                dropRound[nodes.length - 1 - i].loserTo = { nodeId: next[i].id, slot: 1 };
+            });
+        } else {
+            nodes.forEach(node => {
+                node.winnerTo = { nodeId: next[Math.floor(node.index / 2)].id, slot: node.index % 2 };
+            });
+        }
+    });
+}
+
+function getBracketNodes(tournament) {
+    return tournament.brackets.flatMap(bracket => bracket.rounds.flat());
+}
+
+function getNodeBracket(tournament, node) {
+    return tournament.brackets.find(bracket => bracket.rounds[node.round]?.includes(node));
+}
+
+/**
+ * Place an entrant (or `null` for a bye) into a node's slot. Once both slots
+ * are settled the node is played, or resolved straight away if a bye is
+ * involved. Returns how many new matches were queued.
+ */
+function fillBracketSlot(tournament, nodeId, slot, entrantId) {
+    const node = getBracketNodes(tournament).find(n => n.id === nodeId);
+    node.slots[slot] = entrantId;
+    node.settled[slot] = true;
+
+    if (!node.settled[0] || !node.settled[1]) return 0;
+
+    const [a, b] = node.slots;
+    if (a && b) {
+        scheduleBracketMatch(tournament, node);
+        return 1;
+    }
+    return resolveBracketNode(tournament, node, a || b, null);
+}
+
+// Record a node's result and send both entrants on; returns how many new matches were queued
+function resolveBracketNode(tournament, node, winnerId, loserId) {
+    node.winnerId = winnerId;
+    node.loserId = loserId;
+
+    if (node.resetNodeId && loserId && winnerId === node.slots[1]) {
+        return fillBracketSlot(tournament, node.resetNodeId, 0, winnerId) +
+            fillBracketSlot(tournament, node.resetNodeId, 1, loserId);
+    }
+
+    let matchTotal = 0;
+    if (node.loserTo) {
+        matchTotal += fillBracketSlot(tournament, node.loserTo.nodeId, node.loserTo.slot, loserId);
+    }
+    if (node.winnerTo) {
+        matchTotal += fillBracketSlot(tournament, node.winnerTo.nodeId, node.winnerTo.slot, winnerId);
+    } else if (winnerId) {
+        const bracket = getNodeBracket(tournament, node);
+        bracket.championId = winnerId;
+
+        const name = escapeHtml(getEntrantName(getEntrant(tournament, winnerId)));
+        if (bracket.key === 'plate') {
+            showToast(`🥈 ${name} ชนะสาย Plate`, 'success');
+        } else {
+            tournament.championId = winnerId;
+            showToast(`🥇 ${name} คว้าแชมป์!`, 'success');
+        }
+    }
+    return matchTotal;
+}
+
+// Queue the match for a bracket node, in a schedule round shared by its bracket round
+function scheduleBracketMatch(tournament, node) {
+    const bracket = getNodeBracket(tournament, node);
+    const roundKey = `${bracket.key}:${node.round}`;
+    let round = state.rounds.find(r => r.id === tournament.bracketRoundIds[roundKey]);
+
+    if (!round) {
+        const roundName = bracket.roundNames[node.round];
+        state.currentRound++;
+        round = {
+            id: generateId(),
+            roundNumber: state.currentRound,
+            matches: [],
+            tournamentId: tournament.id,
+            label: bracket.key === 'main' || bracket.key === 'losers' ? roundName : `${bracket.name}: ${roundName}`,
+            createdAt: new Date().toISOString()
+        };
+        state.rounds.push(round);
+        tournament.bracketRoundIds[roundKey] = round.id;
+    }
+
+    const [a, b] = node.slots.map(id => getEntrant(tournament, id));
+    const match = createTournamentMatch(tournament, a, b);
+    match.bracketNodeId = node.id;
+    match.roundId = round.id;
+    match.roundNumber = round.roundNumber;
+
+    node.matchId = match.id;
+    state.matches.push(match);
+    round.matches.push(match.id);
+    state.matchQueue.push(match);
+}
+
+function advanceKnockout(tournament, match) {
+    const node = getBracketNodes(tournament).find(n => n.id === match.bracketNodeId);
+    if (!node || node.winnerId) return;
+
+    const [winnerId, loserId] = match.winner === 'team1' ?
+        [match.entrant1, match.entrant2] :
+        [match.entrant2, match.entrant1];
+    resolveBracketNode(tournament, node, winnerId, loserId);
+}
+
+// The deciding grand final only shows once it's needed
+function isUnusedResetRound(bracket, round) {
+    return bracket.key === 'final' && round > 0 && !bracket.rounds[round][0].settled.some(Boolean);
+}
+
+function renderBracketHtml(tournament) {
+    const slotName = (node, slot) => {
+        const entrantId = node.slots[slot];
+        if (entrantId) {
+            const entrant = getEntrant(tournament, entrantId);
+            return `${entrant.seed ? `<span class="bracket-seed">${entrant.seed}</span>` : ''}${escapeHtml(getEntrantName(entrant))}`;
+        }
+        return node.settled[slot] ? 'BYE' : '—';
+    };
+
+    return tournament.brackets.map(bracket => `
+        ${tournament.brackets.length > 1 ? `<div class="bracket-title">${bracket.name}</div>` : ''}
+        <div class="bracket">
+            ${bracket.rounds.filter((nodes, r) => !isUnusedResetRound(bracket, r)).map((nodes, r) => `
+                <div class="bracket-round">
+                    <div class="bracket-round-title">${bracket.roundNames[r]}</div>
+                    ${nodes.map(node => {
+        const match = node.matchId ? state.matches.find(m => m.id === node.matchId) : null;
+        const score = match ? getSetResults(match.scores).map(([a, b]) => `${a}-${b}`).join(', ') : '';
+
+        return `
+                        <div class="bracket-node">
+                            ${[0, 1].map(slot => `
+                                <div class="bracket-slot ${node.slots[slot] && node.slots[slot] === node.winnerId ? 'winner' : ''}">${slotName(node, slot)}</div>
+                            `).join('')}
+                            ${score ? `<div class="bracket-score">${score}</div>` : ''}
+                        </div>
+                    `;
+    }).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function renderBracketView() {
+    const container = document.getElementById('bracketView');
+    if (!container) return;
+
+    container.innerHTML = state.tournament?.brackets ? `
+        <div class="bracket-view-title">🏆 สายการแข่งขัน</div>
+        ${renderBracketHtml(state.tournament)}
+    ` : '';
 }
 
 // ============================================
-// Bulk Add Players
+// Group Stage
 // ============================================
 
-function openBulkAddModal() {
-    document.getElementById('bulkPlayerNames').value = '';
-    document.getElementById('bulkAddModal').classList.add('show');
+const GROUP_NAMES = 'ABCDEFGHIJKLMNOP';
+
+/**
+ * Snake draw by rating: seeds 1..n are dealt across the groups left to
+ * right, then right to left, so every group gets a similar spread.
+ */
+function drawGroups(entrants, groupCount) {
+    const seeded = [...entrants].sort((a, b) => getEntrantStrength(b) - getEntrantStrength(a));
+    const groups = Array.from({ length: groupCount }, (_, i) => ({ name: GROUP_NAMES[i], entrantIds: [] }));
+
+    seeded.forEach((entrant, index) => {
+        const row = Math.floor(index / groupCount);
+        const column = index % groupCount;
+        groups[row % 2 === 0 ? column : groupCount - 1 - column].entrantIds.push(entrant.id);
+    });
+
+    return groups;
+}
+
+// Round robin inside every group, with each group's round r played together
+function createGroupStage(tournament, groupCount, qualifiers) {
+    tournament.groups = drawGroups(tournament.entrants, groupCount);
+    tournament.qualifiers = qualifiers;
+
+    const groupRounds = tournament.groups.map(group =>
+        buildRoundRobinPairings(group.entrantIds.map(id => getEntrant(tournament, id))));
+    const roundCount = Math.max(...groupRounds.map(rounds => rounds.length));
+    const rounds = Array.from({ length: roundCount }, (_, r) => groupRounds.flatMap(rounds => rounds[r] || []));
+
+    return scheduleTournamentRounds(tournament, rounds, 'รอบแบ่งกลุ่ม');
+}
+
+function getGroupStandings(tournament, group) {
+    return computeStandings(tournament, m => !m.bracketNodeId && group.entrantIds.includes(m.entrant1))
+        .filter(row => group.entrantIds.includes(row.entrant.id));
+}
+
+/**
+ * Once every pool match has a result, the top `qualifiers` of each group
+ * go into a knockout. Group winners are seeded first, then runners-up and
+ * so on, so winners open against lower-placed qualifiers.
+ */
+function advanceGroupStage(tournament) {
+    if (tournament.brackets) return;
+
+    const poolMatches = state.matches.filter(m => m.tournamentId === tournament.id && !m.bracketNodeId);
+    if (poolMatches.some(m => m.status !== 'completed' || !m.winner)) return;
+
+    const standings = tournament.groups.map(group => getGroupStandings(tournament, group));
+    const qualified = [];
+    for (let place = 0; place < tournament.qualifiers; place++) {
+        standings.forEach(rows => {
+            if (rows[place]) qualified.push(rows[place].entrant);
+        });
+    }
+
+    const matchTotal = createKnockout(tournament, { seeded: qualified });
+    showToast(`จบรอบแบ่งกลุ่ม - เข้ารอบแพ้คัดออก ${qualified.length} ทีม (${matchTotal} แมตช์)`, 'success');
+}
+
+function renderGroupStage(tournament) {
+    return tournament.groups.map(group => `
+        <div class="bracket-title">กลุ่ม ${group.name}</div>
+        ${renderStandingsTable(getGroupStandings(tournament, group), tournament.qualifiers)}
+    `).join('');
+}
+
+// ============================================
+// Swiss System
+// ============================================
+
+const SWISS_PAIRING_BUDGET = 20000;
+
+function getDefaultSwissRounds(entrantCount) {
+    return Math.max(1, Math.min(entrantCount - 1, Math.ceil(Math.log2(Math.max(entrantCount, 2)))));
+}
+
+function getSwissMatches(tournament) {
+    return state.matches.filter(m => m.tournamentId === tournament.id);
+}
+
+/**
+ * Pair entrants in order, each with the nearest entrant below them they
+ * haven't met. Backtracks when someone is left without a fresh opponent;
+ * returns null if that can't be done within the search budget.
+ */
+function pairWithoutRematches(order, hasMet, budget = { steps: SWISS_PAIRING_BUDGET }) {
+    if (order.length === 0) return [];
+    if (--budget.steps < 0) return null;
+
+    const [first, ...rest] = order;
+    for (let i = 0; i < rest.length; i++) {
+        if (hasMet(first, rest[i])) continue;
+
+        const tail = pairWithoutRematches(rest.filter((_, j) => j !== i), hasMet, budget);
+        if (tail) return [[first, rest[i]], ...tail];
+        if (budget.steps < 0) return null;
+    }
+    return null;
+}
+
+/**
+ * Pairings for the next Swiss round: entrants are ordered by running score
+ * (rating breaks ties, so round one pairs similar strengths) and paired
+ * down the list without rematches. With an odd field the lowest-placed
+ * entrant who hasn't had a bye sits out and scores a win.
+ */
+function buildSwissPairings(tournament) {
+    const standings = computeStandings(tournament);
+    const order = standings
+        .map((row, index) => ({ row, index }))
+        .sort((a, b) => (b.row.score - a.row.score) ||
+            (getEntrantStrength(b.row.entrant) - getEntrantStrength(a.row.entrant)) ||
+            (a.index - b.index))
+        .map(({ row }) => row.entrant);
+
+    let byeId = null;
+    if (order.length % 2 === 1) {
+        const byes = tournament.byes || [];
+        const byeEntrant = [...order].reverse().find(e => !byes.includes(e.id)) || order[order.length - 1];
+        byeId = byeEntrant.id;
+        order.splice(order.indexOf(byeEntrant), 1);
+    }
+
+    const met = new Set(getSwissMatches(tournament).map(m => getPairKey(m.entrant1, m.entrant2)));
+    let pairings = pairWithoutRematches(order, (a, b) => met.has(getPairKey(a.id, b.id)));
+    if (!pairings) {
+        pairings = [];
+        for (let i = 0; i + 1 < order.length; i += 2) pairings.push([order[i], order[i + 1]]);
+        showToast('จับคู่โดยไม่ซ้ำคู่เดิมไม่ได้ บางคู่จะได้เจอกันอีกครั้ง', 'warning');
+    }
+
+    return { pairings, byeId };
+}
+
+function scheduleSwissRound(tournament) {
+    const { pairings, byeId } = buildSwissPairings(tournament);
+    tournament.round++;
+
+    let label = `สวิส รอบ ${tournament.round}/${tournament.roundCount}`;
+    if (byeId) {
+        tournament.byes = [...(tournament.byes || []), byeId];
+        label += ` (บาย: ${getEntrantName(getEntrant(tournament, byeId))})`;
+    }
+
+    return scheduleTournamentRounds(tournament, [pairings], label);
+}
+
+function createSwiss(tournament, roundCount) {
+    tournament.round = 0;
+    tournament.roundCount = roundCount;
+    tournament.byes = [];
+    return scheduleSwissRound(tournament);
+}
+
+// Pair the next round once every match of the current one has a result
+function advanceSwiss(tournament) {
+    const matches = getSwissMatches(tournament);
+    if (matches.some(m => m.status !== 'completed' || !m.winner)) return;
+
+    if (tournament.round < tournament.roundCount) {
+        const matchTotal = scheduleSwissRound(tournament);
+        showToast(`จับคู่สวิส รอบ ${tournament.round} แล้ว (${matchTotal} แมตช์)`, 'info');
+        return;
+    }
+
+    if (!tournament.championId) {
+        tournament.championId = computeStandings(tournament)[0].entrant.id;
+        showToast(`🥇 ${escapeHtml(getEntrantName(getEntrant(tournament, tournament.championId)))} คว้าแชมป์!`, 'success');
+    }
+}
+
+// ============================================
+// Americano / Mexicano
+// ============================================
+
+// Formats where partners rotate and players score individually
+const ROTATING_PARTNER_FORMATS = ['americano', 'mexicano'];
+
+function isRotatingPartnerFormat(format) {
+    return ROTATING_PARTNER_FORMATS.includes(format);
+}
+
+// One side of a doubles match made from two individual entrants
+function toPartnership(a, b) {
+    return { playerIds: [...a.playerIds, ...b.playerIds] };
+}
+
+function getUnpairedPartnershipNames(tournament) {
+    return (tournament.unpairedPartnerships || [])
+        .map(playerIds => getEntrantName({ playerIds }))
+        .join(', ');
+}
+
+/**
+ * Americano: everyone partners everyone once. A round robin over the
+ * players gives each round's partnerships, which then face each other two
+ * by two. A partnership left without opponents in its round is held back
+ * and played in extra rounds at the end, against another held-back
+ * partnership that shares no players with it. Any that still have no
+ * opponents (always one when the number of partnerships is odd) are
+ * kept on the tournament and the organiser is told who misses out.
+ */
+function createAmericano(tournament) {
+    const leftover = [];
+    const rounds = buildRoundRobinPairings(tournament.entrants).map(pairings => {
+        const partnerships = pairings.map(([a, b]) => toPartnership(a, b));
+        if (partnerships.length % 2 === 1) leftover.push(partnerships.pop());
+
+        const matches = [];
+        for (let i = 0; i + 1 < partnerships.length; i += 2) {
+            matches.push([partnerships[i], partnerships[i + 1]]);
+        }
+        return matches;
+    });
+
+    const overlaps = (a, b) => a.playerIds.some(id => b.playerIds.includes(id));
+    while (leftover.length >= 2) {
+        const matches = [];
+        const busy = { playerIds: [] };
+
+        for (let i = 0; i < leftover.length; i++) {
+            if (overlaps(leftover[i], busy)) continue;
+            const j = leftover.findIndex((other, k) => k > i && !overlaps(other, busy) && !overlaps(other, leftover[i]));
+            if (j === -1) continue;
+
+            const [a, b] = [leftover[i], leftover[j]];
+            matches.push([a, b]);
+            busy.playerIds.push(...a.playerIds, ...b.playerIds);
+            leftover.splice(j, 1);
+            leftover.splice(i, 1);
+            i--;
+        }
+
+        if (matches.length === 0) break;
+        rounds.push(matches);
+    }
+
+    if (leftover.length > 0) {
+        tournament.unpairedPartnerships = leftover.map(partnership => partnership.playerIds);
+        showToast(`⚠️ จัดคู่ไม่ครบทุกคู่ ไม่ได้เล่นด้วยกัน: ${escapeHtml(getUnpairedPartnershipNames(tournament))}`, 'warning');
+    }
+
+    return scheduleTournamentRounds(tournament, rounds, 'Americano');
+}
+
+function createMexicano(tournament, roundCount) {
+    tournament.round = 0;
+    tournament.roundCount = roundCount;
+    return scheduleMexicanoRound(tournament);
+}
+
+/**
+ * Mexicano: each round is drawn from the current leaderboard. Players go
+ * in fours down the table, 1st and 4th against 2nd and 3rd. When the field
+ * isn't a multiple of four, those who've played most sit out, lowest placed
+ * first.
+ */
+function scheduleMexicanoRound(tournament) {
+    const ranked = computePointsLeaderboard(tournament);
+    const sitOutCount = ranked.length % 4;
+    const sittingOut = ranked
+        .map((row, index) => ({ row, index }))
+        .sort((a, b) => (b.row.played - a.row.played) || (b.index - a.index))
+        .slice(0, sitOutCount)
+        .map(({ row }) => row);
+    const playing = ranked.filter(row => !sittingOut.includes(row)).map(row => row.entrant);
+
+    const matches = [];
+    for (let i = 0; i + 3 < playing.length; i += 4) {
+        const [first, second, third, fourth] = playing.slice(i, i + 4);
+        matches.push([toPartnership(first, fourth), toPartnership(second, third)]);
+    }
+
+    tournament.round++;
+    let label = `Mexicano รอบ ${tournament.round}/${tournament.roundCount}`;
+    if (sittingOut.length > 0) {
+        label += ` (พัก: ${sittingOut.map(row => getEntrantName(row.entrant)).join(', ')})`;
+    }
+
+    return scheduleTournamentRounds(tournament, [matches], label);
+}
+
+/**
+ * Individual leaderboard from the points each player's side scored, across
+ * every partner they had. Ranked by points for, then point difference,
+ * then wins; rating orders an untouched table.
+ */
+function computePointsLeaderboard(tournament) {
+    const matches = state.matches.filter(m =>
+        m.tournamentId === tournament.id && m.status === 'completed' && m.winner);
+
+    return tournament.entrants.map(entrant => {
+        const playerId = entrant.playerIds[0];
+        const row = { entrant, played: 0, wins: 0, pointsFor: 0, pointsAgainst: 0 };
+
+        matches.filter(m => m.team1.includes(playerId) || m.team2.includes(playerId)).forEach(match => {
+            const side = match.team1.includes(playerId) ? 'team1' : 'team2';
+            const points = getMatchPoints(match.scores);
+            row.played++;
+            if (match.winner === side) row.wins++;
+            row.pointsFor += points[side];
+            row.pointsAgainst += points[side === 'team1' ? 'team2' : 'team1'];
+        });
+
+        return row;
+    }).sort((a, b) =>
+        (b.pointsFor - a.pointsFor) ||
+        ((b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst)) ||
+        (b.wins - a.wins) ||
+        (getEntrantStrength(b.entrant) - getEntrantStrength(a.entrant)));
+}
+
+function renderPointsLeaderboard(rows) {
+    return `
+        <table class="player-stats-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>ผู้เล่น</th>
+                    <th>แข่ง</th>
+                    <th>แต้มได้</th>
+                    <th>แต้มเสีย</th>
+                    <th>+/-</th>
+                    <th>ชนะ</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map((row, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td>${escapeHtml(getEntrantName(row.entrant))}</td>
+                        <td>${row.played}</td>
+                        <td class="win">${row.pointsFor}</td>
+                        <td class="loss">${row.pointsAgainst}</td>
+                        <td>${row.pointsFor - row.pointsAgainst}</td>
+                        <td>${row.wins}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
-function bulkAddPlayers() {
-    const textarea = document.getElementById('bulkPlayerNames');
-    const level = document.getElementById('bulkPlayerLevel').value;
-    const names = textarea.value.split('\n').map(n => n.trim()).filter(n => n.length > 0);
+// Draw the next Mexicano round, or crown the points leader once every round is scored
+function advanceRotation(tournament) {
+    const matches = state.matches.filter(m => m.tournamentId === tournament.id);
+    if (matches.some(m => m.status !== 'completed' || !m.winner)) return;
 
-    if (names.length === 0) {
-        showToast('กรุณาใส่ชื่อผู้เล่น', 'error');
+    if (tournament.format === 'mexicano' && tournament.round < tournament.roundCount) {
+        const matchTotal = scheduleMexicanoRound(tournament);
+        showToast(`จับคู่ Mexicano รอบ ${tournament.round} แล้ว (${matchTotal} แมตช์)`, 'info');
         return;
     }
 
-    let addedCount = 0;
-    let skippedCount = 0;
+    if (!tournament.championId) {
+        tournament.championId = computePointsLeaderboard(tournament)[0].entrant.id;
+        showToast(`🥇 ${escapeHtml(getEntrantName(getEntrant(tournament, tournament.championId)))} แต้มรวมสูงสุด!`, 'success');
+    }
+}
 
-    names.forEach(name => {
-        // Check for duplicates
-        if (state.players.some(p => p.name.toLowerCase() === name.toLowerCase())) {
-            skippedCount++;
-            return;
-        }
+// ============================================
+// Club Ladder
+// ============================================
 
-        const player = {
-            id: generateId(),
-            name: name,
-            level: level,
-            matchCount: 0,
-            wins: 0,
-            losses: 0,
-            isPlaying: false,
-            isResting: false,
-            createdAt: new Date().toISOString()
-        };
+function getDefaultLadder() {
+    return {
+        order: [], // Player ids, top of the ladder first
+        challengeRange: 3 // How many places above a player may challenge
+    };
+}
 
-        state.players.push(player);
-        addedCount++;
-    });
+function showLadderModal() {
+    renderLadder();
+    document.getElementById('ladderModal').classList.add('show');
+}
 
-    saveToStorage();
-    closeModal('bulkAddModal');
-    renderPlayers();
-    updateStats();
+function getLadderPosition(playerId) {
+    const index = state.ladder.order.indexOf(playerId);
+    return index === -1 ? null : index + 1;
+}
 
-    let msg = `เพิ่ม ${addedCount} คนเรียบร้อย`;
-    if (skippedCount > 0) {
-        msg += ` (ข้าม ${skippedCount} ชื่อซ้ำ)`;
-    }
-    showToast(msg, 'success');
+// A challenge involving the player that is still queued or on court
+function getOpenLadderMatch(playerId) {
+    return [...state.matchQueue, ...state.currentMatches].find(m =>
+        m.ladderChallenge && [m.ladderChallenge.challengerId, m.ladderChallenge.defenderId].includes(playerId));
 }
 
-// ============================================
-// Print Schedule
-// ============================================
+function canChallenge(challengerId, defenderId) {
+    const challengerPos = getLadderPosition(challengerId);
+    const defenderPos = getLadderPosition(defenderId);
+    if (!challengerPos || !defenderPos) return false;
 
-function printSchedule() {
-    // Prepare a print-friendly view
-    const printContent = generatePrintContent();
+    return defenderPos < challengerPos && challengerPos - defenderPos <= state.ladder.challengeRange;
+}
 
-    // Create a new window for printing
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>ตารางแข่งแบดมินตัน</title>
-            <link href="https://fonts.googleapis.com/css2?family=Prompt:wght@300;400;500;600&display=swap" rel="stylesheet">
-            <style>
-                * { margin: 0; padding: 0; box-sizing: border-box; }
-                body { 
-                    font-family: 'Prompt', sans-serif; 
-                    padding: 20px;
-                    background: white;
-                }
-                h1 { text-align: center; margin-bottom: 20px; }
-                h2 { margin: 20px 0 10px; border-bottom: 2px solid #333; padding-bottom: 5px; }
-                .info { margin-bottom: 20px; padding: 10px; background: #f5f5f5; border-radius: 8px; }
-                .match { 
-                    display: flex; 
-                    padding: 10px; 
-                    margin: 5px 0;
-                    background: #fafafa;
-                    border: 1px solid #ddd;
-                    border-radius: 4px;
-                }
-                .match-num { width: 30px; font-weight: bold; }
-                .match-teams { flex: 1; }
-                .match-status { width: 80px; text-align: right; }
-                .player-list { columns: 3; column-gap: 20px; }
-                .player { padding: 5px 0; border-bottom: 1px solid #eee; }
-                .level-badge { 
-                    display: inline-block;
-                    width: 12px; height: 12px;
-                    border-radius: 50%;
-                    margin-right: 5px;
-                }
-                .level-beginner { background: #00b894; }
-                .level-intermediate { background: #fdcb6e; }
-                .level-advanced { background: #e17055; }
-                .level-pro { background: #d63031; }
-                @media print {
-                    body { padding: 0; }
-                    button { display: none; }
-                }
-            </style>
-        </head>
-        <body>
-            <h1>🏸 ตารางแข่งแบดมินตัน</h1>
-            <div class="info">
-                <strong>วันที่:</strong> ${new Date().toLocaleDateString('th-TH', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}<br>
-                <strong>ประเภท:</strong> ${state.settings.matchType === 'doubles' ? 'คู่' : 'เดี่ยว'} | 
-                <strong>คอร์ท:</strong> ${state.settings.courtCount} | 
-                <strong>ผู้เล่น:</strong> ${state.players.length} คน |
-                <strong>แมทช์:</strong> ${state.matches.length}
+function renderLadder() {
+    const content = document.getElementById('ladderContent');
+    const challengerId = document.getElementById('ladderChallenger')?.value || '';
+    const ladderPlayers = state.ladder.order.map(id => state.players.find(p => p.id === id)).filter(Boolean);
+    const others = state.players.filter(p => !state.ladder.order.includes(p.id));
+
+    content.innerHTML = `
+        <div class="form-group">
+            <label>ท้าชิงได้สูงสุดกี่อันดับ</label>
+            <input type="number" id="ladderRange" class="form-input" min="1" max="20" value="${state.ladder.challengeRange}"
+                onchange="setLadderRange(this.value)">
+        </div>
+        <div class="form-group">
+            <label>ผู้ท้าชิง</label>
+            <select id="ladderChallenger" class="form-select" onchange="renderLadder()">
+                <option value="">— เลือกผู้ท้าชิง —</option>
+                ${ladderPlayers.map(p => `
+                    <option value="${p.id}" ${p.id === challengerId ? 'selected' : ''}>#${getLadderPosition(p.id)} ${escapeHtml(p.name)}</option>
+                `).join('')}
+            </select>
+        </div>
+        ${ladderPlayers.length === 0 ? '<div class="empty-state">ยังไม่มีผู้เล่นใน Ladder</div>' : `
+            <table class="player-stats-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>ผู้เล่น</th>
+                        <th>เรตติ้ง</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ladderPlayers.map(p => `
+                        <tr>
+                            <td>${getLadderPosition(p.id)}</td>
+                            <td class="player-stats-name" onclick="showPlayerHistory('${p.id}')">${escapeHtml(p.name)}</td>
+                            <td>${formatRating(p)}</td>
+                            <td>
+                                ${getOpenLadderMatch(p.id) ? '<span class="ladder-pending">⏳ รอแข่ง</span>' :
+            challengerId && canChallenge(challengerId, p.id) && !getOpenLadderMatch(challengerId) ?
+                `<button class="player-action-btn" onclick="createLadderChallenge('${challengerId}', '${p.id}')" title="ท้าชิง">⚔️</button>` : ''}
+                                <button class="player-action-btn delete" onclick="leaveLadder('${p.id}')" title="ออกจาก Ladder">✕</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+        ${others.length > 0 ? `
+            <div class="form-group" style="margin-top: 1rem;">
+                <label>ยังไม่อยู่ใน Ladder</label>
+                <div class="ladder-join-list">
+                    ${others.map(p => `
+                        <button class="btn btn-outline" onclick="joinLadder('${p.id}')">➕ ${escapeHtml(p.name)}</button>
+                    `).join('')}
+                </div>
+                <button class="btn btn-outline" onclick="joinAllLadder()" style="width: 100%; margin-top: 0.5rem;">➕ เพิ่มทุกคน (เรียงตามเรตติ้ง)</button>
             </div>
-            ${printContent}
-            <button onclick="window.print()" style="position:fixed;bottom:20px;right:20px;padding:10px 20px;font-size:16px;cursor:pointer;">🖨️ Print</button>
-        </body>
-        </html>
-    `);
-    printWindow.document.close();
+        ` : ''}
+    `;
 }
 
-function generatePrintContent() {
-    let html = '';
+function setLadderRange(value) {
+    state.ladder.challengeRange = Math.max(1, parseInt(value) || getDefaultLadder().challengeRange);
+    saveToStorage();
+    renderLadder();
+}
 
-    // Players list
-    html += '<h2>👥 รายชื่อผู้เล่น</h2><div class="player-list">';
-    state.players.forEach((p, i) => {
-        html += `<div class="player"><span class="level-badge level-${p.level}"></span>${i + 1}. ${escapeHtml(p.name)}</div>`;
-    });
-    html += '</div>';
+// New players start at the bottom
+function joinLadder(playerId) {
+    if (state.ladder.order.includes(playerId)) return;
 
-    // Schedule by round
-    html += '<h2>📅 ตารางการแข่ง</h2>';
-    state.rounds.forEach(round => {
-        html += `<h3 style="margin-top:15px;">รอบที่ ${round.roundNumber}</h3>`;
-        const roundMatches = state.matches.filter(m => m.roundId === round.id);
-        roundMatches.forEach((match, i) => {
-            const team1 = match.team1.map(id => {
-                const p = state.players.find(pl => pl.id === id);
-                return p ? p.name : '?';
-            }).join(' & ');
-            const team2 = match.team2.map(id => {
-                const p = state.players.find(pl => pl.id === id);
-                return p ? p.name : '?';
-            }).join(' & ');
-            const status = match.status === 'completed' ? '✅' : (match.status === 'playing' ? '▶️' : '⏳');
+    state.ladder.order.push(playerId);
+    recordLadderMove(playerId, null, getLadderPosition(playerId), null);
+    saveToStorage();
+    renderLadder();
+}
 
-            html += `<div class="match">
-                <span class="match-num">${i + 1}</span>
-                <span class="match-teams">${team1} vs ${team2}</span>
-                <span class="match-status">${status}</span>
-            </div>`;
+function joinAllLadder() {
+    state.players
+        .filter(p => !state.ladder.order.includes(p.id))
+        .sort((a, b) => getPlayerRating(b) - getPlayerRating(a))
+        .forEach(p => {
+            state.ladder.order.push(p.id);
+            recordLadderMove(p.id, null, getLadderPosition(p.id), null);
         });
-    });
 
-    return html;
+    saveToStorage();
+    renderLadder();
 }
 
-// ============================================
-// Player History
-// ============================================
-
-function showPlayerHistory(playerId) {
+function leaveLadder(playerId) {
     const player = state.players.find(p => p.id === playerId);
-    if (!player) return;
+    if (getOpenLadderMatch(playerId)) {
+        showToast('ผู้เล่นมีนัดท้าชิงค้างอยู่', 'error');
+        return;
+    }
+    if (player && !confirm(`นำ "${player.name}" ออกจาก Ladder?`)) return;
 
-    const playerMatches = state.matches.filter(m =>
-        m.status === 'completed' &&
-        (m.team1.includes(playerId) || m.team2.includes(playerId))
-    );
+    removeFromLadder(playerId);
+    saveToStorage();
+    renderLadder();
+}
 
-    const modal = document.getElementById('playerHistoryModal');
-    const content = document.getElementById('playerHistoryContent');
+// Drop a player and move everyone below up a place
+function removeFromLadder(playerId) {
+    const position = getLadderPosition(playerId);
+    if (!position) return;
 
-    content.innerHTML = `
-        <div class="history-player-header">
-            <div class="history-player-avatar" style="background: var(--level-${player.level})">${player.name.charAt(0).toUpperCase()}</div>
-            <div class="history-player-info">
-                <h3>${escapeHtml(player.name)}</h3>
-                <p>${LEVEL_LABELS[player.level]} | ${player.matchCount} แมทช์ | ${player.wins || 0}W ${player.losses || 0}L</p>
-            </div>
-        </div>
-        <div class="history-match-list">
-            ${playerMatches.length === 0 ? '<div class="empty-state">ยังไม่มีประวัติการแข่ง</div>' :
-            playerMatches.map(match => {
-                const isTeam1 = match.team1.includes(playerId);
-                const playerTeam = isTeam1 ? match.team1 : match.team2;
-                const opponentTeam = isTeam1 ? match.team2 : match.team1;
-                const isWinner = (match.winner === 'team1' && isTeam1) || (match.winner === 'team2' && !isTeam1);
+    state.ladder.order.splice(position - 1, 1);
+    state.ladder.order.slice(position - 1).forEach((id, index) => {
+        recordLadderMove(id, position + index + 1, position + index, null);
+    });
+}
 
-                const teammates = playerTeam.filter(id => id !== playerId).map(id => {
-                    const p = state.players.find(pl => pl.id === id);
-                    return p ? p.name : '?';
-                });
+function recordLadderMove(playerId, from, to, matchId) {
+    const player = state.players.find(p => p.id === playerId);
+    if (!player) return;
 
-                const opponents = opponentTeam.map(id => {
-                    const p = state.players.find(pl => pl.id === id);
-                    return p ? p.name : '?';
-                });
+    player.ladderHistory = player.ladderHistory || [];
+    player.ladderHistory.push({ from, to, matchId, at: new Date().toISOString() });
+}
 
-                return `
-                    <div class="history-match ${isWinner ? 'win' : 'loss'}">
-                        <div class="history-match-teams">
-                            ${teammates.length > 0 ? `คู่: ${teammates.join(', ')} | ` : ''}
-                            vs ${opponents.join(' & ')}
-                        </div>
-                        <span class="history-match-result ${isWinner ? 'win' : 'loss'}">
-                            ${isWinner ? '🏆 ชนะ' : '❌ แพ้'}
-                        </span>
-                    </div>
-                `;
-            }).join('')}
-        </div>
-    `;
+// Ladder challenges share one open-ended round, like continuous mode
+function getLadderRound() {
+    const lastRound = state.rounds[state.rounds.length - 1];
+    if (lastRound && lastRound.isLadder) return lastRound;
 
-    modal.classList.add('show');
-}
+    state.currentRound++;
 
-// ============================================
-// Shuffle Queue
-// ============================================
+    const round = {
+        id: generateId(),
+        roundNumber: state.currentRound,
+        matches: [],
+        isLadder: true,
+        label: '🪜 Ladder',
+        createdAt: new Date().toISOString()
+    };
 
-function shuffleQueue() {
-    if (state.matchQueue.length < 2) {
-        showToast('ต้องมีอย่างน้อย 2 แมทช์ในคิวเพื่อสับเปลี่ยน', 'info');
+    state.rounds.push(round);
+    return round;
+}
+
+function createLadderChallenge(challengerId, defenderId) {
+    if (!canChallenge(challengerId, defenderId)) {
+        showToast(`ท้าชิงได้เฉพาะผู้ที่อยู่สูงกว่าไม่เกิน ${state.ladder.challengeRange} อันดับ`, 'error');
+        return;
+    }
+    if (getOpenLadderMatch(challengerId) || getOpenLadderMatch(defenderId)) {
+        showToast('ผู้เล่นมีนัดท้าชิงค้างอยู่', 'error');
         return;
     }
 
-    state.matchQueue = shuffleArray(state.matchQueue);
+    const round = getLadderRound();
+    const match = {
+        id: generateId(),
+        type: 'singles',
+        team1: [challengerId],
+        team2: [defenderId],
+        ladderChallenge: { challengerId, defenderId },
+        status: 'pending',
+        court: null,
+        roundId: round.id,
+        roundNumber: round.roundNumber,
+        createdAt: new Date().toISOString()
+    };
+
+    state.matches.push(match);
+    round.matches.push(match.id);
+    state.matchQueue.push(match);
+
+    const started = autoFillCourts();
     saveToStorage();
-    renderQueue();
-    showToast('สับเปลี่ยนคิวเรียบร้อย', 'success');
+    renderAll();
+    renderLadder();
+
+    const names = [challengerId, defenderId].map(id => state.players.find(p => p.id === id)?.name);
+    showToast(`⚔️ ${escapeHtml(names[0])} ท้าชิง ${escapeHtml(names[1])} - เพิ่มเข้าคิวแล้ว${started > 0 ? ' และเริ่มแข่ง' : ''}`, 'success');
 }
 
-// Close modals when clicking outside
-document.addEventListener('click', (e) => {
-    if (e.target.classList.contains('modal')) {
-        e.target.classList.remove('show');
-    }
-});
+/**
+ * Called from saveScore. A winning challenger takes the defender's place
+ * and everyone from there down to the challenger's old place drops one.
+ */
+function onLadderMatchScored(match) {
+    if (!match.ladderChallenge) return;
 
-// Keyboard shortcuts
-document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-        document.querySelectorAll('.modal.show').forEach(m => m.classList.remove('show'));
+    const { challengerId, defenderId } = match.ladderChallenge;
+    if (match.winner !== 'team1') return;
+
+    const from = getLadderPosition(challengerId);
+    const to = getLadderPosition(defenderId);
+    if (!from || !to || to > from) return;
+
+    const order = state.ladder.order;
+    order.splice(from - 1, 1);
+    order.splice(to - 1, 0, challengerId);
+
+    recordLadderMove(challengerId, from, to, match.id);
+    for (let position = to + 1; position <= from; position++) {
+        recordLadderMove(order[position - 1], position - 1, position, match.id);
     }
-});
+
+    showToast(`🪜 ${escapeHtml(state.players.find(p => p.id === challengerId)?.name || '')} ขึ้นอันดับ ${to}`, 'success');
+}
 
 // ============================================
 // Rental Timer Functions